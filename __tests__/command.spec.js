@@ -0,0 +1,103 @@
+const { CommandRouter, RegExpPatternBuilder, compileCommandPattern } = require("..");
+
+describe("compileCommandPattern", () => {
+  test("should compile commands and arguments separated by spaces", () => {
+    const regex = compileCommandPattern("/ban {user} {days<int>}", new RegExpPatternBuilder());
+    expect(regex.test("/ban alice 7")).toBe(true);
+    expect(regex.test("/ban alice")).toBe(false);
+    expect(regex.test("/ban alice seven")).toBe(false);
+  });
+
+  test("should compile optional trailing arguments", () => {
+    const regex = compileCommandPattern("/start {payload?}", new RegExpPatternBuilder());
+    expect(regex.test("/start")).toBe(true);
+    expect(regex.test("/start ref-42")).toBe(true);
+  });
+
+  test("should reject invalid patterns", () => {
+    const compile = (pattern) => () => compileCommandPattern(pattern, new RegExpPatternBuilder());
+    expect(compile("/ban {reason?} {user}")).toThrow(/required arguments cannot follow optional ones/);
+    expect(compile("/ban {user<email>}")).toThrow(/Unknown argument type "email"/);
+    expect(compile("/ban@bot")).toThrow(/Invalid command/);
+  });
+});
+
+describe("CommandRouter", () => {
+  const start = { pattern: "/start {payload?}" };
+  const ban = { pattern: "/ban|b {user<mention>} {duration<duration>} {reason?}" };
+  const config = {
+    pattern: "/config",
+    children: [{ pattern: "set {key} {value}" }, { pattern: "{key}" }],
+  };
+  const fallback = { pattern: "unknown" };
+  const router = new CommandRouter({ botName: "MyBot", fallback }, start, ban, config);
+
+  test("should match commands with typed and quoted arguments", () => {
+    const result = router.match('/ban @spammer 7d "spam and flood"');
+    expect(result.route).toBe(ban);
+    expect(result.command).toBe("ban");
+    expect(result.params).toEqual({ user: "spammer", duration: 7 * 86400000, reason: "spam and flood" });
+    expect(result.args).toEqual(["@spammer", "7d", "spam and flood"]);
+  });
+
+  test("should resolve aliases and ignore command case", () => {
+    expect(router.resolve("/B @spammer 1h")).toBe(ban);
+    expect(router.match("/START").command).toBe("start");
+  });
+
+  test("should handle bot username suffixes", () => {
+    expect(router.match("/start@MyBot ref-1").params).toEqual({ payload: "ref-1" });
+    expect(router.resolve("/start@mybot")).toBe(start);
+    expect(router.match("/start@OtherBot")).toBeUndefined();
+    expect(new CommandRouter(start).resolve("/start@AnyBot")).toBe(start);
+  });
+
+  test("should prefer literal subcommands over arguments", () => {
+    expect(router.match("/config set locale en").params).toEqual({ key: "locale", value: "en" });
+    expect(router.match("/config locale").route).toBe(config.children[1]);
+  });
+
+  test("should keep spaces and percent signs in quoted arguments", () => {
+    expect(router.match('/config set "greeting text" "100% done"').params).toEqual({
+      key: "greeting text",
+      value: "100% done",
+    });
+    expect(router.match("/config set motto “just ship it”").params.value).toBe("just ship it");
+  });
+
+  test("should build commands that match back", () => {
+    const set = config.children[0];
+    const text = router.build(set, { key: "greeting text", value: 'say "hi"' });
+
+    expect(text).toBe('/config set "greeting text" "say \\"hi\\""');
+    expect(router.match(text).params).toEqual({ key: "greeting text", value: 'say "hi"' });
+    expect(router.build(start, { payload: "100%" })).toBe("/start 100%");
+    expect(router.match("/start 100%").params).toEqual({ payload: "100%" });
+  });
+
+  test("should fall back for unknown commands and invalid arguments", () => {
+    const result = router.match("/unknown 1 2");
+    expect(result).toMatchObject({ route: fallback, fallback: true, command: "unknown", args: ["1", "2"] });
+    expect(router.resolve("/ban nobody forever")).toBe(fallback);
+    expect(router.resolveAll("/unknown")).toEqual([]);
+  });
+
+  test("should ignore messages that are not commands", () => {
+    expect(router.match("hello /start")).toBeUndefined();
+    expect(router.match("/")).toBeUndefined();
+    expect(new CommandRouter(start).match("/unknown")).toBeUndefined();
+  });
+
+  test("should reject conflicting aliases", () => {
+    expect(() => new CommandRouter({ pattern: "/ban|b" }, { pattern: "/block|b" })).toThrow(
+      /Alias "\/b" of "\/block" is already an alias of "\/ban"/
+    );
+    expect(() => new CommandRouter({ pattern: "/b" }, { pattern: "/ban|b" })).toThrow(/conflicts with command "\/b"/);
+    expect(() => new CommandRouter({ pattern: "/ban|b" }, { pattern: "/b" })).toThrow(/conflicts with an alias/);
+  });
+
+  test("should report full patterns and no conflicts", () => {
+    expect(router.routes().map((info) => info.pattern)).toContain("/config set {key} {value}");
+    expect(router.analyze()).toEqual([]);
+  });
+});
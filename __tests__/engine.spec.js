@@ -0,0 +1,129 @@
+const { Router, HTTPRouter, WSRouter } = require("../lib/router");
+
+const RESOURCES = Array.from({ length: 60 }, (_, i) => `resource${i}`);
+const VALUES = ["1", "42", "admin", "a-b", "x.y", ""];
+
+function createHttpRoutes() {
+  const routes = [];
+  for (const resource of RESOURCES) {
+    routes.push(
+      { pattern: resource },
+      { pattern: `${resource}/admin` },
+      { pattern: `${resource}/*` },
+      { pattern: `${resource}/**` },
+      { pattern: `${resource}/*/details` },
+      {
+        pattern: `${resource}/:id`,
+        children: [{ pattern: "edit" }, { pattern: ":childId" }, { pattern: "files/**" }, { pattern: "posts/:page?" }],
+      }
+    );
+  }
+  routes.push({ pattern: "/" }, { pattern: "**" }, { pattern: ":lang/docs" }, { pattern: "docs{/archive}" });
+  return routes;
+}
+
+function createHttpPaths() {
+  const paths = ["/", "//", "/docs", "/docs/archive", "/en/docs", "/unknown/x/y"];
+  for (const resource of RESOURCES.slice(0, 20)) {
+    paths.push(`/${resource}`, `/${resource}/`, `/${resource.toUpperCase()}/1/EDIT`);
+    for (const value of VALUES) {
+      paths.push(
+        `/${resource}/${value}`,
+        `/${resource}/${value}/edit`,
+        `/${resource}/${value}/details`,
+        `/${resource}/${value}/files/a/b`,
+        `/${resource}/${value}/posts`,
+        `/${resource}/${value}/posts/${value}`,
+        `/${resource}/${value}/${value}`,
+        `/${resource}/${value}?q=1`
+      );
+    }
+  }
+  return paths;
+}
+
+function createWsRoutes() {
+  const routes = [];
+  for (const resource of RESOURCES) {
+    routes.push(
+      { pattern: resource, children: [{ pattern: ":join" }, { pattern: ":*" }] },
+      { pattern: `${resource}:*:message` },
+      { pattern: `${resource}:room:message` },
+      { pattern: `*:${resource}` }
+    );
+  }
+  routes.push({ pattern: "*:*:*" }, { pattern: "{user}:{id<int>}:**" }, { pattern: "room-{id}:**" });
+  return routes;
+}
+
+function createWsPaths() {
+  const paths = ["ping", ":", "a:b:c", "bob:1:x:y", "room-1:x", "room-:x"];
+  for (const resource of RESOURCES.slice(0, 20)) {
+    paths.push(resource, `${resource}:`, `other:${resource}`);
+    for (const value of VALUES) {
+      paths.push(`${resource}:${value}`, `${resource}:${value}:message`, `${resource}:${value}:${value}:x`);
+    }
+  }
+  return paths;
+}
+
+function summarize(result) {
+  return result && { route: result.route, params: result.params, wildcards: result.wildcards };
+}
+
+describe.each([
+  ["HTTPRouter", HTTPRouter, {}, createHttpRoutes, createHttpPaths],
+  ["case-insensitive HTTPRouter", HTTPRouter, { caseSensitive: false }, createHttpRoutes, createHttpPaths],
+  ["WSRouter", WSRouter, {}, createWsRoutes, createWsPaths],
+])("%s engines", (_, RouterClass, options, createRoutes, createPaths) => {
+  const routes = createRoutes();
+  const paths = createPaths();
+  const trie = new RouterClass(options, ...routes);
+  const regex = new RouterClass({ ...options, engine: "regex" }, ...routes);
+
+  test("should produce identical match results", () => {
+    for (const path of paths) {
+      expect([path, summarize(trie.match(path))]).toEqual([path, summarize(regex.match(path))]);
+    }
+  });
+});
+
+describe("Router engine option", () => {
+  const compilePattern = (pattern, builder) => {
+    builder.exact(pattern);
+    return builder.build();
+  };
+
+  test("should support the trie engine with a custom separator", () => {
+    const router = new Router(
+      (pattern, builder) => {
+        for (const [i, segment] of pattern.split(".").entries()) {
+          if (i > 0) builder.exact(".");
+          if (segment === "*") builder.wildcard("[^.]+");
+          else builder.exact(segment);
+        }
+        return builder.build();
+      },
+      (matched) => matched[matched.length - 1],
+      { engine: "trie", separator: "." },
+      { pattern: "a.*" },
+      { pattern: "a.b" }
+    );
+
+    expect(router.resolve("a.b").pattern).toBe("a.b");
+    expect(router.match("a.c").wildcards).toEqual(["c"]);
+    expect(router.resolve("a.b.c")).toBeUndefined();
+  });
+
+  test("should throw for the trie engine without a separator", () => {
+    expect(() => new Router(compilePattern, (matched) => matched[0], { engine: "trie" }, { pattern: "a" })).toThrow(
+      /requires a segment separator/
+    );
+  });
+
+  test("should throw for unknown engines", () => {
+    expect(() => new Router(compilePattern, (matched) => matched[0], { engine: "fast" })).toThrow(
+      /Unknown matching engine "fast"/
+    );
+  });
+});
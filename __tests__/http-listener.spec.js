@@ -0,0 +1,170 @@
+const http = require("http");
+const { HTTPRouter, createRequestListener } = require("..");
+
+function request(server, method, path, headers = {}) {
+  const { port } = server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+      });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+function listen(listener) {
+  const server = http.createServer(listener);
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("createRequestListener", () => {
+  class UserRoute {
+    pattern = "users/:id<int>";
+    get(req) {
+      return { id: req.params.id, tab: req.query.tab };
+    }
+    async delete(req, res) {
+      await Promise.resolve();
+      res.statusCode = 202;
+      return "deleted";
+    }
+  }
+
+  class FileRoute {
+    pattern = "files/**";
+    get(req, res) {
+      res.writeHead(200, { "Content-Type": "text/markdown" });
+      res.end(req.wildcards[0]);
+    }
+  }
+
+  class FailingRoute {
+    pattern = "fail";
+    get() {
+      throw new Error("boom");
+    }
+    async post() {
+      throw new Error("async boom");
+    }
+  }
+
+  const router = new HTTPRouter({ trailingSlash: "redirect" }, new UserRoute(), new FileRoute(), new FailingRoute());
+  let server;
+
+  beforeAll(async () => {
+    server = await listen(createRequestListener(router));
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test("should dispatch to the method handler with params and query", async () => {
+    const response = await request(server, "GET", "/users/42?tab=posts");
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("application/json; charset=utf-8");
+    expect(JSON.parse(response.body)).toEqual({ id: 42, tab: "posts" });
+  });
+
+  test("should await async handlers and send returned text", async () => {
+    const response = await request(server, "DELETE", "/users/42");
+    expect(response.status).toBe(202);
+    expect(response.headers["content-type"]).toBe("text/plain; charset=utf-8");
+    expect(response.body).toBe("deleted");
+  });
+
+  test("should leave responses written by the handler untouched", async () => {
+    const response = await request(server, "GET", "/files/docs/a%20b.md");
+    expect(response.headers["content-type"]).toBe("text/markdown");
+    expect(response.body).toBe("docs/a b.md");
+  });
+
+  test("should respond 404 for unknown paths", async () => {
+    const response = await request(server, "GET", "/posts");
+    expect(response.status).toBe(404);
+    expect(response.body).toBe("Not Found");
+  });
+
+  test("should respond 405 with an Allow header", async () => {
+    const response = await request(server, "PUT", "/users/42");
+    expect(response.status).toBe(405);
+    expect(response.headers.allow).toBe("GET, HEAD, DELETE, OPTIONS");
+  });
+
+  test("should answer OPTIONS and HEAD", async () => {
+    const options = await request(server, "OPTIONS", "/users/42");
+    expect(options.status).toBe(204);
+    expect(options.headers.allow).toBe("GET, HEAD, DELETE, OPTIONS");
+
+    const head = await request(server, "HEAD", "/users/42");
+    expect(head.status).toBe(200);
+    expect(head.body).toBe("");
+  });
+
+  test("should redirect to the canonical path", async () => {
+    const response = await request(server, "GET", "/users/42/?tab=posts");
+    expect(response.status).toBe(308);
+    expect(response.headers.location).toBe("/users/42?tab=posts");
+  });
+
+  test("should route by the Host header", async () => {
+    const whoami = { pattern: "whoami", host: "{tenant}.example.com", get: (req) => req.params.tenant };
+    const tenantServer = await listen(createRequestListener(new HTTPRouter(whoami)));
+
+    try {
+      expect((await request(tenantServer, "GET", "/whoami", { Host: "acme.example.com:3000" })).body).toBe("acme");
+      expect((await request(tenantServer, "GET", "/whoami", { Host: "example.org" })).status).toBe(404);
+    } finally {
+      await new Promise((resolve) => tenantServer.close(resolve));
+    }
+  });
+
+  test("should respond 500 for thrown and rejected errors", async () => {
+    expect((await request(server, "GET", "/fail")).status).toBe(500);
+    const response = await request(server, "POST", "/fail");
+    expect(response.status).toBe(500);
+    expect(response.body).toBe("Internal Server Error");
+  });
+
+  test("should use custom notFound and onError handlers", async () => {
+    const errors = [];
+    const custom = await listen(
+      createRequestListener(router, {
+        notFound: (req, res) => res.writeHead(404).end(`No route for ${req.url}`),
+        onError: (error, req, res) => {
+          errors.push(error.message);
+          res.writeHead(503).end();
+        },
+      })
+    );
+
+    try {
+      expect((await request(custom, "GET", "/posts")).body).toBe("No route for /posts");
+      expect((await request(custom, "GET", "/fail")).status).toBe(503);
+      expect(errors).toEqual(["boom"]);
+    } finally {
+      await new Promise((resolve) => custom.close(resolve));
+    }
+  });
+
+  test("should fall back to a 500 response when onError throws or rejects", async () => {
+    const throwing = await listen(
+      createRequestListener(router, {
+        onError: () => {
+          throw new Error("handler bug");
+        },
+      })
+    );
+    const rejecting = await listen(createRequestListener(router, { onError: async () => Promise.reject(new Error()) }));
+
+    try {
+      expect((await request(throwing, "GET", "/fail")).status).toBe(500);
+      expect((await request(rejecting, "POST", "/fail")).status).toBe(500);
+    } finally {
+      await new Promise((resolve) => throwing.close(resolve));
+      await new Promise((resolve) => rejecting.close(resolve));
+    }
+  });
+});
@@ -1,4 +1,4 @@
-const { HTTPRouter, compileHttpPattern, RegExpPatternBuilder } = require("../lib/router");
+const { Router, HTTPRouter, compileHttpPattern, RegExpPatternBuilder } = require("../lib/router");
 
 describe("compileHttpPattern", () => {
   test("should compile exact path", () => {
@@ -93,6 +93,116 @@ describe("compileHttpPattern", () => {
     expect(regex.test("/users/123")).toBe(true);
     expect(regex.test("/users/123#section")).toBe(false);
   });
+  test("should compile inline param constraints", () => {
+    const builder = new RegExpPatternBuilder();
+    const regex = compileHttpPattern("/users/:id(\\d+)", builder);
+    expect("/users/123".match(regex).groups.id).toBe("123");
+    expect(regex.test("/users/me")).toBe(false);
+  });
+
+  test("should allow separators inside inline constraints", () => {
+    const builder = new RegExpPatternBuilder();
+    const regex = compileHttpPattern("/files/:path([a-z/]+)/raw", builder);
+    expect("/files/a/b/raw".match(regex).groups.path).toBe("a/b");
+    expect(regex.test("/files/a1/raw")).toBe(false);
+  });
+
+  test("should compile built-in param types", () => {
+    const int = compileHttpPattern("/:id<int>", new RegExpPatternBuilder());
+    expect(int.test("/42")).toBe(true);
+    expect(int.test("/-1")).toBe(true);
+    expect(int.test("/4.2")).toBe(false);
+
+    const slug = compileHttpPattern("/:slug<slug>", new RegExpPatternBuilder());
+    expect(slug.test("/hello-world")).toBe(true);
+    expect(slug.test("/Hello_World")).toBe(false);
+
+    const uuid = compileHttpPattern("/:uuid<uuid>", new RegExpPatternBuilder());
+    expect(uuid.test("/123e4567-e89b-12d3-a456-426614174000")).toBe(true);
+    expect(uuid.test("/123e4567")).toBe(false);
+  });
+
+  test("should compile optional params", () => {
+    const regex = compileHttpPattern("/posts/:page?/:sort?", new RegExpPatternBuilder());
+    expect(regex.test("/posts")).toBe(true);
+    expect("/posts/2".match(regex).groups.page).toBe("2");
+    expect("/posts/2/new".match(regex).groups.sort).toBe("new");
+    expect(regex.test("/posts/")).toBe(false);
+  });
+
+  test("should compile a leading optional param", () => {
+    const regex = compileHttpPattern(":lang?/docs", new RegExpPatternBuilder());
+    expect(regex.test("/docs")).toBe(true);
+    expect("/en/docs".match(regex).groups.lang).toBe("en");
+    expect(regex.test("//docs")).toBe(false);
+  });
+
+  test("should compile optional groups", () => {
+    const regex = compileHttpPattern("/posts{/archive}", new RegExpPatternBuilder());
+    expect(regex.test("/posts")).toBe(true);
+    expect(regex.test("/posts/archive")).toBe(true);
+    expect(regex.test("/posts/other")).toBe(false);
+
+    const dated = compileHttpPattern("/posts{/:year(\\d{4})/:month<int>}", new RegExpPatternBuilder());
+    expect(dated.test("/posts")).toBe(true);
+    expect("/posts/2024/05".match(dated).groups).toEqual({ year: "2024", month: "05" });
+    expect(dated.test("/posts/2024")).toBe(false);
+  });
+
+  test("should compile optional groups at the start of a segment", () => {
+    const compile = (pattern) => compileHttpPattern(pattern, new RegExpPatternBuilder());
+    const archive = compile("posts/{archive}");
+    expect(["/posts", "/posts/", "/posts/archive"].map((path) => archive.test(path))).toEqual([true, false, true]);
+
+    const versioned = compile("{v1/}users");
+    expect(["/users", "/v1/users", "/v2/users"].map((path) => versioned.test(path))).toEqual([true, true, false]);
+
+    const user = compile("users/{:id}");
+    expect(user.test("/users")).toBe(true);
+    expect("/users/5".match(user).groups).toEqual({ id: "5" });
+  });
+
+  test("should compile consecutive optional groups", () => {
+    const regex = compileHttpPattern("a{/b}{/c}", new RegExpPatternBuilder());
+    expect(["/a", "/a/b", "/a/c", "/a/b/c"].every((path) => regex.test(path))).toBe(true);
+    expect(regex.test("/a/c/b")).toBe(false);
+    expect(new HTTPRouter({ pattern: "a{/b}{/c}" }).resolve("/a/c").pattern).toBe("a{/b}{/c}");
+  });
+
+  test("should compile a leading optional group with its own separator", () => {
+    const regex = compileHttpPattern("{/list}", new RegExpPatternBuilder());
+    expect(["/", "/list", "//list"].map((path) => regex.test(path))).toEqual([true, true, false]);
+  });
+
+  test("should keep the separator inside leading optional segments of children", () => {
+    const page = { pattern: ":page?" };
+    const archive = { pattern: "{/archive}" };
+    const router = new HTTPRouter({ pattern: "blog", children: [page] }, { pattern: "docs", children: [archive] });
+
+    expect(router.resolve("/blog/")).toBeUndefined();
+    expect(router.resolve("/blog").pattern).toBe("blog");
+    expect(router.resolve("/blog/2")).toBe(page);
+    expect(router.build(page, {})).toBe("/blog");
+    expect(router.build(page, { page: 2 })).toBe("/blog/2");
+    expect(router.resolve("/docs/archive")).toBe(archive);
+    expect(router.resolve("/docs/")).toBeUndefined();
+  });
+
+  test("should throw for unbalanced optional groups", () => {
+    expect(() => compileHttpPattern("/posts{/archive", new RegExpPatternBuilder())).toThrow(/Unbalanced brackets/);
+  });
+
+  test("should compile case-insensitive patterns", () => {
+    const regex = compileHttpPattern("/users/:id", new RegExpPatternBuilder(), { caseSensitive: false });
+    expect(regex.test("/USERS/1")).toBe(true);
+    expect(regex.flags).toBe("i");
+  });
+
+  test("should throw for unknown param types", () => {
+    expect(() => compileHttpPattern("/:id<integer>", new RegExpPatternBuilder())).toThrow(
+      /Unknown param type "integer"/
+    );
+  });
 });
 
 describe("route specificity", () => {
@@ -114,6 +224,31 @@ describe("route specificity", () => {
     expect(matched.pattern).toBe("users/admin");
   });
 
+  test("should prefer constrained params over plain params", () => {
+    const router = new HTTPRouter(
+      { pattern: "users/:name" },
+      { pattern: "users/:id<int>" }
+    );
+
+    expect(router.resolve("/users/42").pattern).toBe("users/:id<int>");
+    expect(router.resolve("/users/me").pattern).toBe("users/:name");
+  });
+
+  test("should prefer concrete routes over overlapping optional routes", () => {
+    const router = new HTTPRouter(
+      { pattern: "posts/:page?" },
+      { pattern: "posts" },
+      { pattern: "posts/:page" },
+      { pattern: "docs{/archive}" },
+      { pattern: "docs" }
+    );
+
+    expect(router.resolve("/posts").pattern).toBe("posts");
+    expect(router.resolve("/posts/2").pattern).toBe("posts/:page");
+    expect(router.resolve("/docs").pattern).toBe("docs");
+    expect(router.resolve("/docs/archive").pattern).toBe("docs{/archive}");
+  });
+
   test("should prefer params over wildcards", () => {
     class WildcardRoute {
       pattern = "api/*";
@@ -323,4 +458,733 @@ describe("HTTPRouter", () => {
 
     expect(router.resolve("/posts")).toBeUndefined();
   });
+
+  test("should match params and wildcards", () => {
+    const router = new HTTPRouter(
+      { pattern: "users/:id" },
+      { pattern: "files/*/raw/**" }
+    );
+
+    const userMatch = router.match("/users/123");
+    expect(userMatch.route.pattern).toBe("users/:id");
+    expect(userMatch.params).toEqual({ id: "123" });
+    expect(userMatch.wildcards).toEqual([]);
+
+    const fileMatch = router.match("/files/docs/raw/a/b.md");
+    expect(fileMatch.params).toEqual({});
+    expect(fileMatch.wildcards).toEqual(["docs", "a/b.md"]);
+  });
+
+  test("should match params declared by parent routes", () => {
+    class PostRoute {
+      pattern = "posts/:postId";
+    }
+
+    class UserRoute {
+      pattern = "users/:userId";
+      children = [new PostRoute()];
+    }
+
+    const router = new HTTPRouter(new UserRoute());
+
+    const matched = router.match("/users/1/posts/2");
+    expect(matched.route).toBeInstanceOf(PostRoute);
+    expect(matched.params).toEqual({ userId: "1", postId: "2" });
+  });
+
+  test("should return undefined match for unmatched route", () => {
+    const router = new HTTPRouter({ pattern: "users" });
+    expect(router.match("/posts")).toBeUndefined();
+  });
+
+  test("should build paths from routes", () => {
+    class UserRoute {
+      pattern = "users/:id";
+    }
+
+    class FilesRoute {
+      pattern = "files/*/raw/**";
+    }
+
+    const user = new UserRoute();
+    const files = new FilesRoute();
+    const router = new HTTPRouter(user, files);
+
+    expect(router.build(user, { id: 123 })).toBe("/users/123");
+    expect(router.build(files, {}, ["docs", "a/b c.md"])).toBe("/files/docs/raw/a/b%20c.md");
+    expect(router.resolve(router.build(user, { id: "a b" }))).toBe(user);
+    expect(() => router.build(user, { id: "a/b" })).toThrow(/does not resolve back to the route/);
+  });
+
+  test("should build paths including parent prefixes", () => {
+    const detail = { pattern: ":id", name: "user-detail" };
+    const router = new HTTPRouter({
+      pattern: "api",
+      children: [{ pattern: "users", children: [detail] }],
+    });
+
+    expect(router.build("user-detail", { id: "J\u00fcrgen" })).toBe("/api/users/J%C3%BCrgen");
+    expect(router.build(detail, { id: 1 })).toBe("/api/users/1");
+  });
+
+  test("should throw when building without required values", () => {
+    const route = { pattern: "users/:id/*" };
+    const router = new HTTPRouter(route);
+
+    expect(() => router.build(route, {}, ["x"])).toThrow(/missing param "id"/);
+    expect(() => router.build(route, { id: 1 })).toThrow(/missing wildcard #0/);
+    expect(() => router.build(route, { id: "" }, ["x"])).toThrow(/does not satisfy/);
+  });
+
+  test("should coerce typed params", () => {
+    const router = new HTTPRouter(
+      { pattern: "users/:id<int>", children: [{ pattern: "scores/:score<number>" }] },
+      { pattern: "posts/:slug<slug>" }
+    );
+
+    expect(router.match("/users/42").params).toEqual({ id: 42 });
+    expect(router.match("/users/42/scores/9.5").params).toEqual({ id: 42, score: 9.5 });
+    expect(router.match("/posts/hello-world").params).toEqual({ slug: "hello-world" });
+  });
+
+  test("should detect duplicates regardless of param names", () => {
+    expect(() => new HTTPRouter({ pattern: "users/:id" }, { pattern: "users/:userId" })).toThrow(
+      /Duplicate route detected/
+    );
+    expect(() => new HTTPRouter({ pattern: "users/:id<int>" }, { pattern: "users/:name" })).not.toThrow();
+  });
+
+  test("should reject values violating typed params when building", () => {
+    const route = { pattern: "users/:id<int>" };
+    const router = new HTTPRouter(route);
+
+    expect(router.build(route, { id: 7 })).toBe("/users/7");
+    expect(() => router.build(route, { id: "me" })).toThrow(/does not satisfy/);
+  });
+
+  test("should report absent optional params as undefined", () => {
+    const router = new HTTPRouter({ pattern: "posts/:page<int>?/:sort?" });
+
+    expect(router.match("/posts").params).toEqual({ page: undefined, sort: undefined });
+    expect(router.match("/posts/2").params).toEqual({ page: 2, sort: undefined });
+    expect(router.match("/posts/2/new").params).toEqual({ page: 2, sort: "new" });
+  });
+
+  test("should detect duplicate optional routes", () => {
+    expect(() => new HTTPRouter({ pattern: "posts/:page?" }, { pattern: "posts{/:page}" })).toThrow(
+      /Duplicate route detected/
+    );
+  });
+
+  test("should build paths for optional params", () => {
+    const route = { pattern: "posts/:page?/:sort?" };
+    const router = new HTTPRouter(route);
+
+    expect(router.build(route)).toBe("/posts");
+    expect(router.build(route, { page: 2 })).toBe("/posts/2");
+    expect(router.build(route, { page: 2, sort: "new" })).toBe("/posts/2/new");
+    expect(() => router.build(route, { sort: "new" })).toThrow(/does not resolve back to the route/);
+  });
+
+  test("should strip and parse the query string", () => {
+    const router = new HTTPRouter({ pattern: "users/:id" });
+
+    const matched = router.match("/users/1?tab=posts&tag=a&tag=b&empty#section");
+    expect(matched.params).toEqual({ id: "1" });
+    expect(matched.query).toEqual({ tab: "posts", tag: ["a", "b"], empty: "" });
+    expect(router.match("/users/1#section").query).toEqual({});
+    expect(router.resolve("/users/1?x=2").pattern).toBe("users/:id");
+  });
+
+  test("should keep __proto__ query keys as own properties", () => {
+    const router = new HTTPRouter({ pattern: "users" });
+
+    const { query } = router.match("/users?__proto__=polluted");
+    expect(Object.getPrototypeOf(query)).toBe(Object.prototype);
+    expect(Object.keys(query)).toEqual(["__proto__"]);
+  });
+
+  test("should percent-decode params and wildcards", () => {
+    const router = new HTTPRouter({ pattern: "users/:name" }, { pattern: "files/*/**" });
+
+    expect(router.match("/users/J%C3%BCrgen").params).toEqual({ name: "J\u00fcrgen" });
+    expect(router.match("/files/my%20docs/a%2Fb/c").wildcards).toEqual(["my docs", "a/b/c"]);
+  });
+
+  test("should reject malformed encodings", () => {
+    const router = new HTTPRouter({ pattern: "users/:name" });
+    expect(router.match("/users/%E0%A4%A")).toBeUndefined();
+  });
+
+  test("should reject encoded slashes in single-segment params", () => {
+    const router = new HTTPRouter({ pattern: "files/:name" }, { pattern: "files/**" });
+
+    expect(router.match("/files/a%2Fb").route.pattern).toBe("files/**");
+    expect(router.match("/files/a%2Fb").wildcards).toEqual(["a/b"]);
+    expect(new HTTPRouter({ pattern: "files/:name" }).match("/files/a%2fb")).toBeUndefined();
+  });
+
+  test("should keep trailing and duplicate slashes strict by default", () => {
+    const router = new HTTPRouter({ pattern: "users/:id" });
+
+    expect(router.match("/users/1/")).toBeUndefined();
+    expect(router.match("//users/1")).toBeUndefined();
+    expect(router.match("/Users/1")).toBeUndefined();
+  });
+
+  test("should match loose trailing slashes and collapse duplicate slashes", () => {
+    const router = new HTTPRouter(
+      { trailingSlash: "loose", duplicateSlashes: "collapse" },
+      { pattern: "/" },
+      { pattern: "users/:id" }
+    );
+
+    expect(router.match("/users/1/").params).toEqual({ id: "1" });
+    expect(router.match("//users///1").params).toEqual({ id: "1" });
+    expect(router.match("/users/1/").redirect).toBeUndefined();
+    expect(router.resolve("//").pattern).toBe("/");
+  });
+
+  test("should match case-insensitively through nested routes", () => {
+    const router = new HTTPRouter({ caseSensitive: false }, { pattern: "api", children: [{ pattern: "users/:id" }] });
+
+    expect(router.match("/API/Users/Bob").params).toEqual({ id: "Bob" });
+  });
+
+  test("should report canonical paths in redirect mode", () => {
+    const router = new HTTPRouter(
+      { trailingSlash: "redirect", duplicateSlashes: "redirect" },
+      { pattern: "users/:id" }
+    );
+
+    expect(router.match("/users/1").redirect).toBeUndefined();
+    expect(router.match("/users/1/?tab=posts").redirect).toBe("/users/1?tab=posts");
+    expect(router.match("//users//1").redirect).toBe("/users/1");
+    expect(router.match("//users//1").route.pattern).toBe("users/:id");
+    expect(router.match("/posts/")).toBeUndefined();
+  });
+
+  test("should not redirect to protocol-relative paths", () => {
+    const router = new HTTPRouter({ trailingSlash: "redirect" }, { pattern: "**" });
+
+    expect(router.match("//evil.com/")).toMatchObject({ wildcards: ["/evil.com"] });
+    expect(router.match("//evil.com/").redirect).toBeUndefined();
+    expect(router.match("/\\evil.com/").redirect).toBeUndefined();
+    expect(router.match("/docs/").redirect).toBe("/docs");
+  });
+
+  test("should detect case-insensitive duplicates", () => {
+    expect(() => new HTTPRouter({ pattern: "users" }, { pattern: "Users" })).not.toThrow();
+    expect(() => new HTTPRouter({ caseSensitive: false }, { pattern: "users" }, { pattern: "Users" })).toThrow(
+      /Duplicate route detected/
+    );
+    expect(
+      () => new HTTPRouter({ caseSensitive: false }, { pattern: "a/:id(\\d+)" }, { pattern: "a/:id(\\D+)" })
+    ).not.toThrow();
+  });
+
+  test("should reject unsafe constraints naming the route", () => {
+    expect(() => new HTTPRouter({ pattern: "api", children: [{ pattern: "users/:id((\\d+)+)" }] })).toThrow(
+      /Cannot compile route "users\/:id\(\(\\d\+\)\+\)": Unsafe constraint/
+    );
+    expect(() => new HTTPRouter({ pattern: "files/:id(\\d+)-:rev(\\d+)" })).toThrow(/Invalid constraint/);
+    expect(() => new HTTPRouter({ pattern: "users/:user-id" })).toThrow(/Invalid param name "user-id"/);
+  });
+
+  test("should restrict constraints in safe mode", () => {
+    const router = new HTTPRouter({ safe: true }, { pattern: "users/:id<int>/:slug<slug>" }, { pattern: "files/**" });
+    expect(router.match("/users/1/hello-world").params).toEqual({ id: 1, slug: "hello-world" });
+    expect(() => router.add({ pattern: "posts/:id(.+)" })).toThrow(/Cannot compile route "posts\/:id\(\.\+\)"/);
+    expect(() => router.mount("v2", new HTTPRouter({ pattern: ":name(\\w+(?!x))" }))).toThrow(
+      /Cannot compile route ":name\(.*\)" mounted at "v2": Constraint .* is outside the safe subset/
+    );
+  });
+
+  test("should not match hostile paths longer than maxLength", () => {
+    const router = new HTTPRouter({ maxLength: 64 }, { pattern: "**/x" });
+    expect(router.resolve(`/${"a/".repeat(20)}x`)).toBeDefined();
+    expect(router.resolve(`/${"a/".repeat(40)}x`)).toBeUndefined();
+    expect(router.resolve(`/a/x?${"q".repeat(100)}`)).toBeDefined();
+  });
+
+  test("should throw for invalid slash policies", () => {
+    expect(() => new HTTPRouter({ trailingSlash: "ignore" })).toThrow(/Invalid trailingSlash policy "ignore"/);
+    expect(() => new HTTPRouter({ duplicateSlashes: "loose" })).toThrow(/Invalid duplicateSlashes policy "loose"/);
+  });
+
+  test("should register and remove routes at runtime on both engines", () => {
+    for (const engine of ["trie", "regex"]) {
+      const api = { pattern: "api", children: [{ pattern: "users/:id" }] };
+      const router = new HTTPRouter({ engine }, api, { pattern: "**" });
+      const feature = { pattern: "beta/:name?", children: [{ pattern: "*" }] };
+
+      router.add(feature, { parent: api });
+      expect(router.match("/api/beta").route).toBe(feature);
+      expect(router.match("/api/beta/x/y").params).toEqual({ name: "x" });
+      expect(router.match("/api/users/1").params).toEqual({ id: "1" });
+
+      router.remove(api);
+      expect(router.resolve("/api/beta").pattern).toBe("**");
+      expect(router.resolve("/api/users/1").pattern).toBe("**");
+
+      router.add({ pattern: "api/users/:name" });
+      expect(router.match("/api/users/bob").params).toEqual({ name: "bob" });
+      expect(() => router.add({ pattern: "api/users/:id" })).toThrow(/Duplicate route detected/);
+    }
+  });
+
+  test("should keep registration order for routes added under a parent", () => {
+    const parent = { pattern: "a", children: [{ pattern: ":x" }] };
+    const router = new Router(
+      compileHttpPattern,
+      (matched) => matched[matched.length - 1],
+      { engine: "trie", separator: "/" },
+      parent,
+      { pattern: "a/*" }
+    );
+
+    router.add({ pattern: ":y<slug>" }, { parent });
+    expect(router.resolve("/a/b").pattern).toBe("a/*");
+    router.remove("a/*");
+    expect(router.resolve("/a/b").pattern).toBe(":y<slug>");
+  });
+
+  test("should describe its route table", () => {
+    const router = new HTTPRouter(
+      { pattern: "/" },
+      { pattern: "api", name: "api", children: [{ pattern: "users/:id<int>", children: [{ pattern: "edit" }] }] },
+      { pattern: "docs{/archive}" }
+    );
+
+    expect(router.toJSON()).toEqual([
+      { pattern: "/", regex: "^\\/$", flags: "", depth: 0, specificity: 0, parents: [] },
+      { pattern: "/api", name: "api", regex: "^\\/api$", flags: "", depth: 0, specificity: 12000, parents: [] },
+      {
+        pattern: "/api/users/:id<int>",
+        regex: "^\\/api\\/users\\/(?<id>-?\\d+)$",
+        flags: "",
+        depth: 1,
+        specificity: 24500,
+        parents: ["/api"],
+      },
+      {
+        pattern: "/api/users/:id<int>/edit",
+        regex: "^\\/api\\/users\\/(?<id>-?\\d+)\\/edit$",
+        flags: "",
+        depth: 2,
+        specificity: 12000,
+        parents: ["/api", "/api/users/:id<int>"],
+      },
+      {
+        pattern: "/docs{/archive}",
+        regex: "^\\/docs(?:\\/archive)?$",
+        flags: "",
+        depth: 0,
+        specificity: 11999,
+        parents: [],
+      },
+    ]);
+    expect(JSON.parse(JSON.stringify(router))).toEqual(router.toJSON());
+    expect(router.toTable().split("\n")).toEqual([
+      "Pattern                   Depth  Specificity  Regex",
+      "/                         0      0            /^\\/$/",
+      "/api                      0      12000        /^\\/api$/",
+      "/api/users/:id<int>       1      24500        /^\\/api\\/users\\/(?<id>-?\\d+)$/",
+      "/api/users/:id<int>/edit  2      12000        /^\\/api\\/users\\/(?<id>-?\\d+)\\/edit$/",
+      "/docs{/archive}           0      11999        /^\\/docs(?:\\/archive)?$/",
+    ]);
+  });
+
+  test("resolveAll() should return every matching route ordered by specificity", () => {
+    class UserRoute {
+      pattern = "users/:id";
+      get() {}
+    }
+
+    class UsersAuditRoute {
+      pattern = "users/**";
+      get() {}
+      post() {}
+    }
+
+    const router = new HTTPRouter({ trailingSlash: "redirect" }, new UsersAuditRoute(), new UserRoute(), {
+      pattern: "users/*",
+    });
+
+    const all = router.resolveAll("/users/1/?tab=posts");
+    expect(all.map(({ route }) => route.pattern)).toEqual(["users/:id", "users/*", "users/**"]);
+    expect(all[0]).toMatchObject({ params: { id: "1" }, query: { tab: "posts" }, redirect: "/users/1?tab=posts" });
+
+    const posts = router.resolveAll("/users/1", { method: "POST" });
+    expect(posts.map(({ route, handler }) => [route.pattern, handler])).toEqual([["users/**", "post"]]);
+    expect(router.resolveAll("/users/1", { method: "HEAD" }).map(({ handler }) => handler)).toEqual(["get", "get"]);
+    expect(router.resolveAll("/posts")).toEqual([]);
+  });
+
+  test("should expose the ancestor chain for guards and layouts", () => {
+    const calls = [];
+
+    class UserDetailRoute {
+      pattern = ":id";
+      get() {}
+    }
+
+    class UsersListRoute {
+      pattern = "users";
+      meta = { scope: "users:read" };
+      children = [new UserDetailRoute()];
+      guard() {
+        calls.push("users");
+      }
+    }
+
+    class ApiRoute {
+      pattern = "api";
+      meta = { requiresAuth: true };
+      children = [new UsersListRoute()];
+      guard() {
+        calls.push("api");
+      }
+    }
+
+    const router = new HTTPRouter(new ApiRoute());
+    const result = router.match("/api/users/123", { method: "GET" });
+
+    expect(result.route).toBeInstanceOf(UserDetailRoute);
+    expect(result.parents.map((parent) => parent.constructor)).toEqual([ApiRoute, UsersListRoute]);
+    expect(result.meta).toEqual({ requiresAuth: true, scope: "users:read" });
+    for (const parent of result.parents) parent.guard();
+    expect(calls).toEqual(["api", "users"]);
+  });
+
+  test("should mount routers under a prefix", () => {
+    class InvoiceRoute {
+      pattern = ":id<int>";
+      get() {}
+    }
+
+    const invoice = new InvoiceRoute();
+    const billing = new HTTPRouter({ pattern: "invoices", children: [invoice] }, { pattern: "**" });
+    const router = new HTTPRouter({ pattern: "health" }).mount("api/billing", billing);
+
+    expect(router.match("/api/billing/invoices/42?full=1", { method: "GET" })).toMatchObject({
+      route: invoice,
+      params: { id: 42 },
+      query: { full: "1" },
+      handler: "get",
+    });
+    expect(router.match("/api/billing/invoices/a%20b").wildcards).toEqual(["invoices/a b"]);
+    expect(router.resolve("/billing/invoices")).toBeUndefined();
+    expect(router.build(invoice, { id: 7 })).toBe("/api/billing/invoices/7");
+    expect(router.toJSON().map(({ pattern }) => pattern)).toEqual([
+      "/health",
+      "/api/billing/invoices",
+      "/api/billing/invoices/:id<int>",
+      "/api/billing/**",
+    ]);
+    expect(() => router.mount("api", new HTTPRouter({ pattern: "billing/invoices" }))).toThrow(
+      /Duplicate route detected/
+    );
+  });
+
+  test("should reject params declared by both the prefix and a mounted route", () => {
+    const router = new HTTPRouter();
+    expect(() => router.mount("users/:id", new HTTPRouter({ pattern: "posts/:id" }))).toThrow(
+      /Cannot compile route "posts\/:id" mounted at "users\/:id": Duplicate param name "id"/
+    );
+    expect(() => new HTTPRouter({ pattern: "users/:id", children: [{ pattern: ":id" }] })).toThrow(
+      /Cannot compile route ":id": Duplicate param name "id"/
+    );
+  });
+
+  test("should analyze mounted routes against host routes", () => {
+    const router = new HTTPRouter({ pattern: "api/*/x" }).mount("api", new HTTPRouter({ pattern: ":name/x" }));
+
+    expect(router.analyze().map(({ type, patterns }) => [type, patterns])).toEqual([
+      ["shadowed", ["/api/*/x", "/api/:name/x"]],
+    ]);
+  });
+
+  test("should join mount prefixes with index and optional routes", () => {
+    const index = { pattern: "" };
+    const page = { pattern: ":page?" };
+    const router = new HTTPRouter({ pattern: "api/:x" }).mount("api/billing", new HTTPRouter(index, page));
+
+    expect(router.routes().map(({ regex }) => regex)).toEqual([
+      "^\\/api\\/(?<x>[^/?#]+)$",
+      "^\\/api\\/billing$",
+      "^\\/api\\/billing(?:\\/(?<page>[^/?#]+))?$",
+    ]);
+    expect(router.resolve("/api/billing")).toBe(index);
+    expect(router.resolve("/api/billing/")).toBeUndefined();
+    expect(router.match("/api/billing/2")).toMatchObject({ route: page, params: { page: "2" } });
+    expect(router.resolve("/api/other").pattern).toBe("api/:x");
+    expect(new HTTPRouter().mount("", new HTTPRouter(page)).resolve("/3")).toBe(page);
+  });
+
+  test("should report the specificity mounted routes are selected with", () => {
+    const invoice = { pattern: "invoices/:id" };
+    const router = new HTTPRouter({ pattern: "api/*/*/*" }).mount("api/billing", new HTTPRouter(invoice));
+    const [catchAll, mounted] = router.routes();
+
+    expect(mounted.specificity).toBeGreaterThan(catchAll.specificity);
+    expect(router.resolve("/api/billing/invoices/1")).toBe(invoice);
+  });
+
+  describe("route analysis", () => {
+    const summarize = (router) => router.analyze().map(({ type, severity, patterns }) => [type, severity, patterns]);
+
+    test("should report routes shadowed by more specific routes", () => {
+      const router = new HTTPRouter({ pattern: "users/*" }, { pattern: "users/:id" }, { pattern: "users/me" });
+
+      expect(summarize(router)).toEqual([["shadowed", "error", ["/users/*", "/users/:id"]]]);
+      expect(router.analyze()[0].message).toBe(
+        'Route "/users/*" can never be selected: "/users/:id" matches all of its paths and is always preferred'
+      );
+    });
+
+    test("should report nested routes shadowed by top-level routes", () => {
+      const router = new HTTPRouter({ pattern: "users", children: [{ pattern: ":id" }] }, { pattern: "*/*" });
+
+      expect(summarize(router)).toEqual([["shadowed", "error", ["/users/:id", "/*/*"]]]);
+    });
+
+    test("should report overlapping routes with equal specificity", () => {
+      const router = new HTTPRouter(
+        { pattern: ":lang/docs" },
+        { pattern: "api/:version" },
+        { pattern: "files/:id<int>" },
+        { pattern: "files/:name<slug>" },
+        { pattern: "files/:id(\\d+-\\d+)" },
+        { pattern: "posts/:id<uuid>" },
+        { pattern: "posts/:id(\\d+)" }
+      );
+
+      expect(summarize(router)).toEqual([
+        ["ambiguous", "warning", ["/:lang/docs", "/api/:version"]],
+        ["ambiguous", "warning", ["/files/:id<int>", "/files/:name<slug>"]],
+      ]);
+    });
+
+    test("should report deep wildcards swallowing subtrees", () => {
+      const router = new HTTPRouter(
+        { pattern: "api/**" },
+        { pattern: "api", children: [{ pattern: "users", children: [{ pattern: ":id" }] }] },
+        { pattern: "**" }
+      );
+
+      expect(summarize(router)).toEqual([["catchAll", "error", ["/api/**", "/api/users", "/api/users/:id"]]]);
+    });
+
+    test("should only report conflicts between routes handling the same methods", () => {
+      class CreateRoute {
+        pattern = "users/*";
+        post() {}
+      }
+
+      class ReadRoute {
+        pattern = "users/:id";
+        get() {}
+      }
+
+      class UpdateRoute {
+        pattern = "users/:id";
+        get() {}
+        post() {}
+      }
+
+      expect(summarize(new HTTPRouter(new CreateRoute(), new ReadRoute()))).toEqual([]);
+      expect(summarize(new HTTPRouter(new CreateRoute(), new UpdateRoute()))).toEqual([
+        ["shadowed", "error", ["/users/*", "/users/:id"]],
+      ]);
+      expect(summarize(new HTTPRouter(new ReadRoute(), { pattern: "users/:name(\\w+)" }))).toEqual([]);
+    });
+
+    test("should not report disjoint routes", () => {
+      const router = new HTTPRouter(
+        { pattern: "/" },
+        { pattern: "users" },
+        { pattern: "users/:id<int>" },
+        { pattern: "users/:id<int>/edit" },
+        { pattern: "users/new" },
+        { pattern: "files/**" },
+        { pattern: "files/:id/raw" },
+        { pattern: "docs{/archive}" }
+      );
+
+      expect(router.analyze()).toEqual([]);
+    });
+  });
+
+  describe("method-aware resolution", () => {
+    class UserRoute {
+      pattern = "users/:id";
+      get() {}
+      delete() {}
+    }
+
+    class UsersCatchAllRoute {
+      pattern = "users/**";
+      post() {}
+    }
+
+    const router = new HTTPRouter(new UserRoute(), new UsersCatchAllRoute(), { pattern: "health" });
+
+    test("should select the most specific route implementing the method", () => {
+      const getMatch = router.match("/users/1", { method: "GET" });
+      expect(getMatch.route).toBeInstanceOf(UserRoute);
+      expect(getMatch.handler).toBe("get");
+      expect(getMatch.params).toEqual({ id: "1" });
+
+      const postMatch = router.match("/users/1", { method: "post" });
+      expect(postMatch.route).toBeInstanceOf(UsersCatchAllRoute);
+      expect(postMatch.handler).toBe("post");
+      expect(router.resolve("/users/1", { method: "POST" })).toBeInstanceOf(UsersCatchAllRoute);
+    });
+
+    test("should compute the Allow list across matching routes", () => {
+      expect(router.match("/users/1", { method: "GET" }).allow).toEqual(["GET", "HEAD", "POST", "DELETE", "OPTIONS"]);
+      expect(router.match("/users/1/posts", { method: "POST" }).allow).toEqual(["POST", "OPTIONS"]);
+    });
+
+    test("should report method not allowed when no route implements the method", () => {
+      const result = router.match("/users/1?tab=posts", { method: "PUT" });
+      expect(result).toEqual({
+        methodNotAllowed: true,
+        allow: ["GET", "HEAD", "POST", "DELETE", "OPTIONS"],
+        query: { tab: "posts" },
+      });
+      expect(router.resolve("/users/1", { method: "PUT" })).toBeUndefined();
+      expect(router.match("/health", { method: "GET" })).toEqual({
+        methodNotAllowed: true,
+        allow: ["OPTIONS"],
+        query: {},
+      });
+    });
+
+    test("should return undefined when the path does not match", () => {
+      expect(router.match("/posts", { method: "GET" })).toBeUndefined();
+    });
+
+    test("should fall back to GET for HEAD", () => {
+      const result = router.match("/users/1", { method: "HEAD" });
+      expect(result.route).toBeInstanceOf(UserRoute);
+      expect(result.handler).toBe("get");
+    });
+
+    test("should prefer an explicit HEAD handler", () => {
+      const route = { pattern: "files", get() {}, head() {} };
+      expect(new HTTPRouter(route).match("/files", { method: "HEAD" }).handler).toBe("head");
+    });
+
+    test("should answer OPTIONS automatically", () => {
+      const result = router.match("/users/1", { method: "OPTIONS" });
+      expect(result.route).toBeInstanceOf(UserRoute);
+      expect(result.handler).toBeUndefined();
+      expect(result.allow).toEqual(["GET", "HEAD", "POST", "DELETE", "OPTIONS"]);
+    });
+
+    test("should not treat non-HTTP properties as handlers", () => {
+      expect(router.match("/users/1", { method: "constructor" }).methodNotAllowed).toBe(true);
+    });
+  });
+
+  describe("host routing", () => {
+    const admin = { pattern: "dashboard", host: "admin.example.com" };
+    const tenant = { pattern: "dashboard", host: "{tenant}.example.com" };
+    const any = { pattern: "dashboard", host: "**" };
+    const fallback = { pattern: "dashboard" };
+    const router = new HTTPRouter(fallback, any, tenant, admin, {
+      pattern: "api",
+      host: "{tenant}.example.com",
+      children: [{ pattern: "users/:id" }],
+    });
+
+    test("should prefer an exact host over a host param", () => {
+      expect(router.resolve("/dashboard", { host: "admin.example.com" })).toBe(admin);
+      expect(router.resolve("/dashboard", { host: "ADMIN.Example.com:8080" })).toBe(admin);
+      expect(router.resolve("/dashboard", { host: "admin.example.com." })).toBe(admin);
+    });
+
+    test("should capture host params alongside path params", () => {
+      const result = router.match("/dashboard", { host: "acme.example.com" });
+      expect(result.route).toBe(tenant);
+      expect(result.params).toEqual({ tenant: "acme" });
+      expect(router.match("/api/users/7", { host: "acme.example.com" }).params).toEqual({ tenant: "acme", id: "7" });
+    });
+
+    test("should capture host wildcards separately from path wildcards", () => {
+      const files = { pattern: "files/**", host: "**.cdn.com" };
+      const result = new HTTPRouter(files).match("/files/a", { host: "x.y.cdn.com" });
+      expect(result).toMatchObject({ route: files, wildcards: ["a"], hostWildcards: ["x.y"] });
+      expect(router.match("/dashboard", { host: "example.org" }).hostWildcards).toEqual(["example.org"]);
+      expect(router.match("/dashboard").hostWildcards).toBeUndefined();
+    });
+
+    test("should fall back to less specific hosts and host-independent routes", () => {
+      expect(router.resolve("/dashboard", { host: "example.org" })).toBe(any);
+      expect(router.resolve("/dashboard")).toBe(fallback);
+      expect(router.resolve("/api/users/7")).toBeUndefined();
+      expect(router.resolve("/api/users/7", { host: "a.b.example.com" })).toBeUndefined();
+    });
+
+    test("should order resolveAll by host specificity first", () => {
+      const routes = router.resolveAll("/dashboard", { host: "admin.example.com" }).map((result) => result.route);
+      expect(routes).toEqual([admin, tenant, any, fallback]);
+    });
+
+    test("should allow the same path on different hosts", () => {
+      expect(() => new HTTPRouter(admin, tenant)).not.toThrow();
+      expect(() => new HTTPRouter(admin, { ...admin })).toThrow(/Duplicate route detected/);
+    });
+
+    test("should not report routes on different hosts as conflicts", () => {
+      expect(new HTTPRouter(admin, tenant, fallback).analyze()).toEqual([]);
+    });
+
+    test("should expose hosts in introspection", () => {
+      const json = new HTTPRouter(fallback, tenant).toJSON();
+      expect(json[0].host).toBeUndefined();
+      expect(json[1]).toMatchObject({ host: "{tenant}.example.com", pattern: "/dashboard" });
+      expect(new HTTPRouter(tenant).toTable()).toContain("{tenant}.example.com/dashboard");
+    });
+
+    test("should support constrained and typed host params", () => {
+      const shard = { pattern: "status", host: "node-{id<int>}.example.com" };
+      const result = new HTTPRouter(shard).match("/status", { host: "node-3.example.com" });
+      expect(result.params).toEqual({ id: 3 });
+      expect(new HTTPRouter(shard).match("/status", { host: "node-x.example.com" })).toBeUndefined();
+    });
+
+    test("should reject invalid host patterns", () => {
+      expect(() => new HTTPRouter({ pattern: "a", host: "example..com" })).toThrow(/empty label/);
+    });
+
+    test("should reject params declared by both the host and the path", () => {
+      expect(() => new HTTPRouter({ pattern: "sites/:tenant", host: "{tenant}.example.com" })).toThrow(
+        /Cannot compile route "sites\/:tenant": param "tenant" is declared by the host and the path/
+      );
+      expect(() => new HTTPRouter({ ...tenant, children: [{ pattern: ":tenant" }] })).toThrow(/param "tenant"/);
+    });
+
+    test("should cache results per host", () => {
+      const cached = new HTTPRouter({ cacheSize: 10 }, admin, tenant, fallback);
+      expect(cached.resolve("/dashboard", { host: "admin.example.com" })).toBe(admin);
+      expect(cached.resolve("/dashboard", { host: "acme.example.com" })).toBe(tenant);
+      expect(cached.resolve("/dashboard")).toBe(fallback);
+      expect(cached.resolve("/dashboard", { host: "ADMIN.example.com" })).toBe(admin);
+      expect(cached.cacheStats()).toMatchObject({ hits: 1, misses: 3 });
+    });
+  });
+
+  test("should share cached results across methods and query strings", () => {
+    const users = { pattern: "users/:id", get() {} };
+    const router = new HTTPRouter({ cacheSize: 10 }, users);
+
+    expect(router.match("/users/1?a=1", { method: "GET" })).toMatchObject({ handler: "get", query: { a: "1" } });
+    expect(router.match("/users/1?b=2", { method: "POST" })).toMatchObject({ methodNotAllowed: true });
+    expect(router.match("/users/1", { method: "GET" }).params).toEqual({ id: "1" });
+    expect(router.cacheStats()).toMatchObject({ hits: 2, misses: 1, size: 1 });
+  });
 });
+
@@ -0,0 +1,112 @@
+const { HTTPRouter, WSRouter, toOpenAPI } = require("..");
+
+describe("toOpenAPI", () => {
+  const users = {
+    pattern: "users/:id<int>",
+    meta: {
+      openapi: {
+        tags: ["users"],
+        params: { id: { minimum: 1 } },
+        get: { summary: "Get a user", responses: { 200: { description: "The user" } } },
+      },
+    },
+    get() {},
+    delete() {},
+    children: [{ pattern: "posts/:page?", get() {} }],
+  };
+
+  test("should emit one operation per method handler", () => {
+    const document = toOpenAPI(new HTTPRouter({ pattern: "/", get() {} }, users, { pattern: "admin" }));
+
+    expect(document).toMatchObject({ openapi: "3.1.0", info: { title: "API", version: "1.0.0" } });
+    expect(Object.keys(document.paths)).toEqual(["/", "/users/{id}", "/users/{id}/posts", "/users/{id}/posts/{page}"]);
+    expect(document.paths["/"]).toEqual({ get: {} });
+    expect(Object.keys(document.paths["/users/{id}"])).toEqual(["get", "delete"]);
+    expect(document["x-unsupported"]).toBeUndefined();
+  });
+
+  test("should merge route metadata and inferred param schemas", () => {
+    const { paths } = toOpenAPI(new HTTPRouter(users));
+    const id = { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } };
+
+    expect(paths["/users/{id}"].get).toEqual({
+      tags: ["users"],
+      summary: "Get a user",
+      responses: { 200: { description: "The user" } },
+      parameters: [id],
+    });
+    expect(paths["/users/{id}"].delete).toEqual({ tags: ["users"], parameters: [id] });
+    expect(paths["/users/{id}/posts/{page}"].get.parameters).toEqual([
+      id,
+      { name: "page", in: "path", required: true, schema: { type: "string" } },
+    ]);
+  });
+
+  test("should describe typed and constrained params", () => {
+    const router = new HTTPRouter({ pattern: "prices/:amount<number>/:code([A-Z]{3})", get() {} });
+    const [amount, code] = toOpenAPI(router).paths["/prices/{amount}/{code}"].get.parameters;
+
+    expect(amount.schema).toEqual({ type: "number" });
+    expect(code.schema).toEqual({ type: "string", pattern: "^(?:[A-Z]{3})$" });
+  });
+
+  test("should expand optional segments and mounted routers", () => {
+    const billing = new HTTPRouter({ pattern: "invoices/:id", get() {} });
+    const router = new HTTPRouter({ pattern: "docs{/archive}", get() {} }).mount("api/billing", billing);
+
+    expect(Object.keys(toOpenAPI(router).paths)).toEqual(["/docs", "/docs/archive", "/api/billing/invoices/{id}"]);
+  });
+
+  test("should report routes that cannot be described", () => {
+    const router = new HTTPRouter(
+      { pattern: "files/**", get() {} },
+      { pattern: "dashboard", host: "{tenant}.example.com", get() {} },
+      { pattern: "items/:id", get() {} },
+      { pattern: "items/:name<slug>", post() {} }
+    );
+    const document = toOpenAPI(router);
+
+    expect(Object.keys(document.paths)).toEqual(["/items/{id}"]);
+    expect(document["x-unsupported"]).toEqual([
+      { pattern: "/files/**", reason: "wildcards cannot be described by OpenAPI path templates" },
+      {
+        pattern: "/dashboard",
+        host: "{tenant}.example.com",
+        reason: "host-bound routes cannot be described by OpenAPI paths",
+      },
+      { pattern: "/items/:name<slug>", reason: 'path "/items/{name}" conflicts with "/items/{id}"' },
+    ]);
+  });
+
+  test("should report routes with too many optional segments", () => {
+    const pattern = "a{/b}{/c}{/d}{/e}{/f}";
+    const document = toOpenAPI(new HTTPRouter({ pattern: "docs{/archive}", get() {} }, { pattern, get() {} }));
+
+    expect(Object.keys(document.paths)).toEqual(["/docs", "/docs/archive"]);
+    expect(document["x-unsupported"]).toEqual([
+      { pattern: "/a{/b}{/c}{/d}{/e}{/f}", reason: "optional segments expand to more than 16 paths" },
+    ]);
+  });
+
+  test("should document wildcards as path params on request", () => {
+    const router = new HTTPRouter({ pattern: "files/*/**", get() {} });
+    const { paths, servers } = toOpenAPI(router, { wildcards: "param", servers: [{ url: "/v1" }] });
+
+    expect(paths["/files/{wildcard0}/{wildcard1}"].get.parameters.map(({ name }) => name)).toEqual([
+      "wildcard0",
+      "wildcard1",
+    ]);
+    expect(servers).toEqual([{ url: "/v1" }]);
+    expect(toOpenAPI(router, { info: { title: "Files" } }).info).toEqual({ title: "Files", version: "1.0.0" });
+  });
+
+  test("should produce plain JSON", () => {
+    const document = toOpenAPI(new HTTPRouter(users));
+    expect(JSON.parse(JSON.stringify(document))).toEqual(document);
+  });
+
+  test("should reject other routers and invalid options", () => {
+    expect(() => toOpenAPI(new WSRouter())).toThrow(/toOpenAPI requires an HTTPRouter/);
+    expect(() => toOpenAPI(new HTTPRouter(), { wildcards: "ignore" })).toThrow(/Invalid wildcards option "ignore"/);
+  });
+});
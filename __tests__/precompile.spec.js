@@ -0,0 +1,129 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Router, HTTPRouter, WSRouter, CommandRouter, compileHttpPattern, selectMostSpecificRoute } = require("..");
+
+let directory;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "athlete-router-"));
+});
+
+afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function load(router, name, options = {}) {
+  const file = path.join(directory, `${name}.js`);
+  fs.writeFileSync(file, router.precompile({ require: path.resolve(__dirname, ".."), ...options }));
+  return require(file);
+}
+
+function bind(router) {
+  const routes = {};
+  for (const { route, pattern, host } of router.routes()) {
+    routes[route.name ?? (host ? host + pattern : pattern)] = route;
+  }
+  return routes;
+}
+
+function summarize(result) {
+  return result && { ...result, regex: result.regex.source };
+}
+
+describe("precompile", () => {
+  test("should produce identical HTTP match results", () => {
+    const billing = new HTTPRouter({ pattern: "invoices/:id<int>" }, { pattern: "invoices/**" });
+    const options = { trailingSlash: "redirect", duplicateSlashes: "collapse", caseSensitive: false, maxLength: 40 };
+    const router = new HTTPRouter(
+      options,
+      { pattern: "/", name: "home" },
+      { pattern: "users/:id", meta: { auth: true }, children: [{ pattern: "edit" }, { pattern: "posts/:page?" }] },
+      { pattern: "users/me" },
+      { pattern: "files/**" },
+      { pattern: "docs{/archive}" },
+      { pattern: "dashboard", host: "{tenant}.example.com" },
+      { pattern: "dashboard" }
+    ).mount("api/billing", billing);
+    const createRouter = load(router, "http");
+    const loaded = createRouter(bind(router));
+
+    const paths = ["/", "/users/1", "/USERS/5/", "//users//me", "/users/1/edit", "/users/1/posts", "/users/1/posts/2"];
+    paths.push("/files/a/b", `/files/${"a".repeat(40)}`);
+    paths.push("/docs", "/docs/archive", "/dashboard", "/api/billing/invoices/7", "/api/billing/invoices/x/y", "/none");
+    for (const url of paths) {
+      for (const host of [undefined, "acme.example.com"]) {
+        expect([url, summarize(loaded.match(url, { host }))]).toEqual([url, summarize(router.match(url, { host }))]);
+        expect(loaded.resolve(url, { host })).toBe(router.resolve(url, { host }));
+      }
+    }
+    expect(loaded.build("home")).toBe("/");
+    expect(loaded.toJSON()).toEqual(router.toJSON());
+  });
+
+  test("should produce identical WebSocket and command match results", () => {
+    const ws = new WSRouter({ pattern: "chat:*:message" }, { pattern: "room:{id<int>}:**" }, { pattern: "*:*:*" });
+    const loadedWs = load(ws, "ws")(bind(ws));
+    for (const event of ["chat:1:message", "room:7:a:b", "room:x:a", "a:b:c", "ping"]) {
+      expect(loadedWs.resolve(event)).toBe(ws.resolve(event));
+    }
+
+    const commands = new CommandRouter(
+      { botName: "MyBot" },
+      { pattern: "/ban|b {user<mention>} {duration<duration>} {reason?}" },
+      { pattern: "/start {payload?}" }
+    );
+    const loadedCommands = load(commands, "commands")(bind(commands));
+    for (const text of ['/b@MyBot @spammer 7d "spam and flood"', "/START ref", "/start@OtherBot", "/ban x"]) {
+      expect(loadedCommands.match(text)).toEqual(commands.match(text));
+    }
+  });
+
+  test("should load without compiling patterns", () => {
+    const compile = jest.fn((pattern, builder) => compileHttpPattern(pattern, builder));
+    const router = new Router(compile, selectMostSpecificRoute, { pattern: "users/:id" }, { pattern: "users/me" });
+    const createRouter = load(router, "custom");
+    compile.mockClear();
+
+    const loaded = createRouter(bind(router), compile, selectMostSpecificRoute);
+    expect(compile).not.toHaveBeenCalled();
+    expect(loaded.match("/users/1").params).toEqual({ id: "1" });
+    expect(() => loaded.add({ pattern: "users/:name" })).toThrow(/Duplicate route detected/);
+  });
+
+  test("should let options passed at load time override the stored options", () => {
+    const router = new HTTPRouter({ trailingSlash: "redirect", safe: true }, { pattern: "users/:id" });
+    const createRouter = load(router, "options");
+
+    expect(createRouter({}).match("/users/1/").redirect).toBe("/users/1");
+    expect(createRouter({}, { trailingSlash: "strict" }).match("/users/1/")).toBeUndefined();
+    expect(() => createRouter({}).add({ pattern: "a/:x(.*)" })).toThrow(/outside the safe subset/);
+  });
+
+  test("should fall back to route data for routes that are not rebound", () => {
+    const handler = { pattern: "users/:id", name: "user", get() {} };
+    const router = new HTTPRouter(handler, { pattern: "health", meta: { public: true } });
+    const loaded = load(router, "partial")({ user: handler });
+
+    expect(loaded.resolve("/users/1")).toBe(handler);
+    expect(loaded.match("/health")).toMatchObject({ route: { pattern: "health" }, meta: { public: true } });
+  });
+
+  test("should reject routers that cannot be serialized", () => {
+    const custom = new Router(
+      (pattern, builder) => builder.param("id", "\\d+", (value) => BigInt(value)).build(),
+      (matched) => matched[0],
+      { pattern: "id" }
+    );
+    expect(() => custom.precompile()).toThrow(/param "id" uses a custom parser/);
+
+    const ws = new WSRouter({ pattern: "ping" });
+    expect(() => new HTTPRouter().mount("ws", ws).precompile()).toThrow(
+      /mounted from a router with different strategies/
+    );
+  });
+
+  test("should reject tables of another version", () => {
+    expect(() => HTTPRouter.fromPrecompiled({ version: 0, routes: [] })).toThrow(
+      /Unsupported precompiled table version/
+    );
+  });
+});
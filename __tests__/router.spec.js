@@ -40,6 +40,57 @@ describe("RegExpPatternBuilder", () => {
     expect(regex.test("/api/users/posts/comments")).toBe(true);
   });
 
+  test("wildcard() and deepWildcard() should capture numbered groups", () => {
+    const builder = new RegExpPatternBuilder();
+    const regex = builder.exact("/").wildcard().exact("/").deepWildcard().build();
+    const match = "/api/users/123".match(regex);
+    expect(match.groups.$0).toBe("api");
+    expect(match.groups.$1).toBe("users/123");
+  });
+
+  test("concat() should renumber wildcard captures", () => {
+    const parent = new RegExpPatternBuilder();
+    parent.exact("/").wildcard();
+
+    const child = new RegExpPatternBuilder();
+    child.exact("/").wildcard();
+
+    const regex = new RegExpPatternBuilder().concat(parent).concat(child).build();
+    const match = "/a/b".match(regex);
+    expect(match.groups.$0).toBe("a");
+    expect(match.groups.$1).toBe("b");
+  });
+
+  test("should record tokens for each part", () => {
+    const builder = new RegExpPatternBuilder();
+    builder.exact("/users/").param("id", "\\d+").exact("/").wildcard();
+    expect(builder.tokens).toEqual([
+      { type: "exact", value: "/users/" },
+      { type: "param", name: "id", constraint: "\\d+" },
+      { type: "exact", value: "/" },
+      { type: "wildcard", constraint: "[^/?#]+" },
+    ]);
+  });
+
+  test("optional() should wrap parts in an optional group", () => {
+    const builder = new RegExpPatternBuilder();
+    const regex = builder
+      .exact("/posts")
+      .optional((inner) => inner.exact("/").param("page"))
+      .optional((inner) => inner.exact("/").wildcard())
+      .build();
+
+    expect("/posts".match(regex).groups).toEqual({ page: undefined, $0: undefined });
+    expect("/posts/2/new".match(regex).groups).toEqual({ page: "2", $0: "new" });
+    expect(builder.tokens[1]).toEqual({
+      type: "optional",
+      tokens: [
+        { type: "exact", value: "/" },
+        { type: "param", name: "page", constraint: "[^/?#]+" },
+      ],
+    });
+  });
+
   test("concat() should combine builders", () => {
     const builder1 = new RegExpPatternBuilder();
     builder1.exact("/api");
@@ -51,6 +102,48 @@ describe("RegExpPatternBuilder", () => {
     const regex = builder2.build();
     expect(regex.test("/users/api")).toBe(true);
   });
+
+  test("param() should reject names that are not valid group names", () => {
+    expect(() => new RegExpPatternBuilder().param("user-id")).toThrow(/Invalid param name "user-id"/);
+    expect(() => new RegExpPatternBuilder().param("$0")).toThrow(/Invalid param name/);
+    expect(() => new RegExpPatternBuilder().param("städte_2")).not.toThrow();
+  });
+
+  test("param() and wildcard() should reject unsafe constraints", () => {
+    const param = (constraint) => () => new RegExpPatternBuilder().param("id", constraint);
+    expect(param("(a+)+")).toThrow(/Unsafe constraint \/\(a\+\)\+\/: nested quantifiers/);
+    expect(param("(\\w|\\d*)*")).toThrow(/nested quantifiers/);
+    expect(param("(x[a-x]+)+")).toThrow(/nested quantifiers/);
+    expect(param("(\\d+)-\\1")).toThrow(/backreferences are not allowed/);
+    expect(param("(?<inner>\\d+)")).toThrow(/named groups are not allowed/);
+    expect(param("\\d+)(")).toThrow(/not a valid regular expression/);
+    expect(() => new RegExpPatternBuilder().wildcard("(.*a){2,}")).toThrow(/nested quantifiers/);
+  });
+
+  test("param() should reject repeated alternatives that can match the same input", () => {
+    const param = (constraint) => () => new RegExpPatternBuilder().param("id", constraint);
+    expect(param("(a|aa)+")).toThrow(/Unsafe constraint \/\(a\|aa\)\+\/: overlapping alternatives/);
+    expect(param("(a|a)*")).toThrow(/overlapping alternatives/);
+    expect(param("(?:x(\\d|\\w))+")).toThrow(/overlapping alternatives/);
+    expect(param("(a|ab)+")).toThrow(/overlapping alternatives/);
+    expect(param("(jpg|png)+")).not.toThrow();
+    expect(param("(ab|ac)+")).not.toThrow();
+    expect(param("(a|aa)")).not.toThrow();
+  });
+
+  test("build() should reject duplicate param names", () => {
+    const optional = new RegExpPatternBuilder().param("id").optional((inner) => inner.exact("/").param("id"));
+    expect(() => optional.build()).toThrow(/Duplicate param name "id"/);
+    const parent = new RegExpPatternBuilder().param("id");
+    expect(() => new RegExpPatternBuilder().concat(parent).param("id").build()).toThrow(/Duplicate param name "id"/);
+  });
+
+  test("param() should accept quantified groups delimited by a literal", () => {
+    expect(() => new RegExpPatternBuilder().param("slug", "[a-z]+(-[a-z]+)*")).not.toThrow();
+    expect(() => new RegExpPatternBuilder().param("version", "\\d+(\\.\\d+){0,2}")).not.toThrow();
+    expect(() => new RegExpPatternBuilder().param("version", "(\\d+\\.)+\\d+")).not.toThrow();
+    expect(() => new RegExpPatternBuilder().param("path", "([a-z.]+\\.)+")).toThrow(/nested quantifiers/);
+  });
 });
 
 describe("Router", () => {
@@ -176,4 +269,505 @@ describe("Router", () => {
       );
     }).toThrow(/Duplicate route detected/);
   });
+
+  test("match() should return route, params, wildcards and regex", () => {
+    const router = new Router(
+      (pattern, builder) => {
+        builder.exact(pattern).exact("/").param("id").exact("/").wildcard();
+        return builder.build();
+      },
+      selectFirst,
+      { pattern: "users" }
+    );
+
+    const result = router.match("users/42/profile");
+    expect(result.route.pattern).toBe("users");
+    expect(result.params).toEqual({ id: "42" });
+    expect(result.wildcards).toEqual(["profile"]);
+    expect(result.regex).toBeInstanceOf(RegExp);
+  });
+
+  test("match() should merge params from parent routes", () => {
+    const compileParam = (pattern, builder) => {
+      builder.exact("/").param(pattern);
+      return builder.build();
+    };
+
+    const router = new Router(compileParam, selectFirst, {
+      pattern: "userId",
+      children: [{ pattern: "postId" }],
+    });
+
+    expect(router.match("/1/2").params).toEqual({ userId: "1", postId: "2" });
+  });
+
+  test("match() should return the parent chain from root to leaf", () => {
+    const leaf = { pattern: "/detail" };
+    const middle = { pattern: "/list", children: [leaf] };
+    const root = { pattern: "users", children: [middle] };
+    const router = new Router(compilePattern, selectFirst, root);
+
+    expect(router.match("users/list/detail").parents).toEqual([root, middle]);
+    expect(router.match("users").parents).toEqual([]);
+  });
+
+  test("match() should merge meta inherited from parent routes", () => {
+    const router = new Router(compilePattern, selectFirst, {
+      pattern: "admin",
+      meta: { requiresAuth: true, layout: "admin" },
+      children: [{ pattern: "/login", meta: { requiresAuth: false } }, { pattern: "/users" }],
+    });
+
+    expect(router.match("admin").meta).toEqual({ requiresAuth: true, layout: "admin" });
+    expect(router.match("admin/login").meta).toEqual({ requiresAuth: false, layout: "admin" });
+    expect(router.match("admin/users").meta).toEqual({ requiresAuth: true, layout: "admin" });
+
+    router.match("admin/users").meta.layout = "changed";
+    expect(router.match("admin/users").meta.layout).toBe("admin");
+  });
+
+  test("match() should return empty meta for routes without meta", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "test" });
+
+    expect(router.match("test").meta).toEqual({});
+  });
+
+  test("match() should return undefined for non-matching path", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "test" });
+    expect(router.match("other")).toBeUndefined();
+  });
+
+  test("match() should find no route when the select strategy declines", () => {
+    const decline = () => undefined;
+    const router = new Router(compilePattern, decline, { pattern: "a" });
+
+    expect(router.match("a")).toBeUndefined();
+    expect(router.resolve("a")).toBeUndefined();
+    expect(router.resolveAll("a")).toEqual([]);
+    expect(new Router(compilePattern, () => ({ pattern: "a" }), { pattern: "a" }).resolve("a")).toBeUndefined();
+
+    const sub = new Router(compilePattern, decline, { pattern: "a" });
+    expect(new Router(compilePattern, selectFirst).mount("sub/", sub).resolve("sub/a")).toBeUndefined();
+  });
+
+  test("match() should return the route chosen by the select strategy", () => {
+    const selectLast = (matched) => matched[matched.length - 1];
+    const router = new Router(
+      (pattern, builder) => {
+        if (pattern === "any") builder.wildcard();
+        else builder.exact(pattern);
+        return builder.build();
+      },
+      selectLast,
+      { pattern: "test" },
+      { pattern: "any" }
+    );
+
+    const result = router.match("test");
+    expect(result.route.pattern).toBe("any");
+    expect(result.wildcards).toEqual(["test"]);
+  });
+
+  test("build() should substitute params and wildcards", () => {
+    const route = { pattern: "users" };
+    const router = new Router(
+      (pattern, builder) => {
+        builder.exact(pattern).exact("/").param("id", "\\d+").exact("/").wildcard();
+        return builder.build();
+      },
+      selectFirst,
+      route
+    );
+
+    expect(router.build(route, { id: 42 }, ["profile"])).toBe("users/42/profile");
+  });
+
+  test("build() should look routes up by name", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "test", name: "home" });
+    expect(router.build("home")).toBe("test");
+  });
+
+  test("get() should look routes up by name", () => {
+    const users = { pattern: "users", name: "users", children: [{ pattern: "/list", name: "users.list" }] };
+    const router = new Router(compilePattern, selectFirst, users, { pattern: "posts" });
+
+    expect(router.get("users")).toBe(users);
+    expect(router.get("users.list")).toBe(users.children[0]);
+    expect(router.get("posts")).toBeUndefined();
+    router.remove(users);
+    expect(router.get("users.list")).toBeUndefined();
+  });
+
+  test("match() should expose the route name", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "a", name: "first" }, { pattern: "b" });
+    expect(router.match("a").name).toBe("first");
+    expect(router.match("b").name).toBeUndefined();
+  });
+
+  test("should throw on duplicate names across the flattened tree", () => {
+    const create = (...routes) => () => new Router(compilePattern, selectFirst, ...routes);
+    expect(create({ pattern: "a", name: "x" }, { pattern: "b", children: [{ pattern: "/c", name: "x" }] })).toThrow(
+      /Duplicate route name "x": used by routes "a" and "\/c"/
+    );
+
+    const router = new Router(compilePattern, selectFirst, { pattern: "a", name: "x" });
+    expect(() => router.add({ pattern: "b", name: "x" })).toThrow(/Duplicate route name "x"/);
+    expect(() => router.mount("sub/", new Router(compilePattern, selectFirst, { pattern: "a", name: "x" }))).toThrow(
+      /Duplicate route name "x"/
+    );
+    expect(router.routes()).toHaveLength(1);
+    router.remove("a");
+    expect(() => router.add({ pattern: "b", name: "x" })).not.toThrow();
+  });
+
+  test("should name the offending route in compile errors", () => {
+    const compileParam = (pattern, builder) => builder.param("id", pattern).build();
+    expect(() => new Router(compileParam, selectFirst, { pattern: "\\d+" }, { pattern: "(a*)*" })).toThrow(
+      /Cannot compile route "\(a\*\)\*": Unsafe constraint/
+    );
+  });
+
+  test("safe mode should restrict constraints to the vetted subset", () => {
+    const compileParam = (pattern, builder) => builder.param("id", pattern).build();
+    const create = (pattern) => () => new Router(compileParam, selectFirst, { safe: true }, { pattern });
+    expect(create("[a-z]+(-[a-z]+)*")).not.toThrow();
+    expect(create("-?\\d+(\\.\\d+)?")).not.toThrow();
+    expect(create("(?=\\d)\\w+")).toThrow(/outside the safe subset: "\(\?=\\d\)" is not allowed/);
+    expect(create(".+")).toThrow(/outside the safe subset/);
+    expect(create("(ab|cd)+")).toThrow(/outside the safe subset/);
+    expect(create("\\d{1,5000}")).toThrow(/outside the safe subset/);
+    expect(create("(\\d-){2000}")).toThrow(/outside the safe subset/);
+    expect(() => new Router(compileParam, selectFirst, { pattern: ".+" })).not.toThrow();
+  });
+
+  test("safe mode should reject adjacent quantifiers matching the same characters", () => {
+    const compileParam = (pattern, builder) => builder.param("id", pattern).build();
+    const create = (pattern) => () => new Router(compileParam, selectFirst, { safe: true }, { pattern });
+    expect(create("\\d+\\d+\\d+x")).toThrow(/outside the safe subset: "\\d\+" and "\\d\+" can match the same/);
+    expect(create("[a-z]+-?[a-z]*")).toThrow(/can match the same characters/);
+    expect(create("\\d+0\\d+")).toThrow(/can match the same characters/);
+    expect(create("[a-z]+-[a-z]+")).not.toThrow();
+    expect(create("\\w+\\.\\w+")).not.toThrow();
+    expect(() => new Router(compileParam, selectFirst, { pattern: "\\d+\\d+" })).not.toThrow();
+  });
+
+  test("safe mode should allow a single deep wildcard per route", () => {
+    const compileDeep = (pattern, builder) => {
+      for (const part of pattern.split("/")) part === "**" ? builder.deepWildcard() : builder.exact(part);
+      return builder.build();
+    };
+    const router = new Router(compileDeep, selectFirst, { safe: true }, { pattern: "a/**", children: [] });
+    expect(() => router.add({ pattern: "**/b/**" })).toThrow(/Only one deep wildcard is allowed/);
+    expect(() => router.add({ pattern: "/**" }, { parent: router.routes()[0].route })).toThrow(
+      /Cannot compile route "\/\*\*": Only one deep wildcard/
+    );
+  });
+
+  test("match() should reject paths longer than maxLength", () => {
+    const router = new Router((pattern, builder) => builder.wildcard(".+").build(), selectFirst, { maxLength: 8 });
+    router.add({ pattern: "any" });
+    expect(router.resolve("12345678").pattern).toBe("any");
+    expect(router.resolve("123456789")).toBeUndefined();
+    expect(router.resolveAll("123456789")).toEqual([]);
+    expect(new Router(compilePattern, selectFirst, { pattern: "x".repeat(9000) }).resolve("x".repeat(9000))).toBe(
+      undefined
+    );
+  });
+
+  test("build() should throw for unregistered routes", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "test" });
+    expect(() => router.build("missing")).toThrow(/route "missing" is not registered/);
+    expect(() => router.build({ pattern: "test" })).toThrow(/not registered/);
+  });
+
+  test("build() should throw for values violating a constraint", () => {
+    const route = { pattern: "users" };
+    const router = new Router(
+      (pattern, builder) => {
+        builder.exact(pattern).exact("/").param("id", "\\d+");
+        return builder.build();
+      },
+      selectFirst,
+      route
+    );
+
+    expect(() => router.build(route, { id: "abc" })).toThrow(/param "id" value "abc" does not satisfy/);
+    expect(() => router.build(route, {})).toThrow(/missing param "id"/);
+  });
+
+  test("match() should only select candidates accepted by the filter", () => {
+    const router = new Router(
+      (pattern, builder) => {
+        if (pattern === "any") builder.wildcard();
+        else builder.exact(pattern);
+        return builder.build();
+      },
+      selectFirst,
+      { pattern: "test" },
+      { pattern: "any" }
+    );
+
+    const filter = ({ route }) => route.pattern === "any";
+    expect(router.match("test", { filter }).route.pattern).toBe("any");
+    expect(router.resolve("test", { filter }).pattern).toBe("any");
+    expect(router.match("test", { filter: () => false })).toBeUndefined();
+  });
+
+  test("resolveAll() should return every match in selection order", () => {
+    const router = new Router(
+      (pattern, builder) => {
+        if (pattern === "any") builder.wildcard();
+        else builder.exact(pattern);
+        return builder.build();
+      },
+      (matched) => matched[matched.length - 1],
+      { pattern: "any" },
+      { pattern: "test" },
+      { pattern: "other" }
+    );
+
+    const results = router.resolveAll("test");
+    expect(results.map(({ route }) => route.pattern)).toEqual(["test", "any"]);
+    expect(results[1].wildcards).toEqual(["test"]);
+    expect(router.resolveAll("test", { filter: ({ route }) => route.pattern === "any" })).toHaveLength(1);
+    expect(router.resolveAll("a/b")).toEqual([]);
+  });
+
+  test("add() should register routes and nested children at runtime", () => {
+    const parent = { pattern: "users/" };
+    const router = new Router(compilePattern, selectFirst, parent);
+    const child = { pattern: "profile", children: [{ pattern: "/edit" }] };
+
+    expect(router.add({ pattern: "posts" })).toBe(router);
+    router.add(child, { parent });
+
+    expect(router.resolve("posts").pattern).toBe("posts");
+    expect(router.resolve("users/profile")).toBe(child);
+    expect(router.resolve("users/profile/edit").pattern).toBe("/edit");
+  });
+
+  test("add() should attach added routes to the parent chain", () => {
+    const parent = { pattern: "admin", meta: { requiresAuth: true } };
+    const router = new Router(compilePattern, selectFirst, parent);
+
+    router.add({ pattern: "/stats", meta: { cache: false } }, { parent });
+    expect(router.match("admin/stats")).toMatchObject({
+      parents: [parent],
+      meta: { requiresAuth: true, cache: false },
+    });
+  });
+
+  test("add() should reject duplicates without changing the router", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "test" });
+
+    expect(() => router.add({ pattern: "new", children: [{ pattern: "" }, { pattern: "" }] })).toThrow(
+      /Duplicate route detected/
+    );
+    expect(() => router.add({ pattern: "test" })).toThrow(/Duplicate route detected/);
+    expect(router.resolve("new")).toBeUndefined();
+  });
+
+  test("add() should throw for unregistered parents", () => {
+    const router = new Router(compilePattern, selectFirst);
+
+    expect(() => router.add({ pattern: "child" }, { parent: { pattern: "missing" } })).toThrow(
+      /parent route "missing" is not registered/
+    );
+  });
+
+  test("mount() should prefix routes of another router and keep its select strategy", () => {
+    const compileAny = (pattern, builder) => {
+      if (pattern === "*") builder.wildcard();
+      else builder.exact(pattern);
+      return builder.build();
+    };
+    const selectLast = (matched) => matched[matched.length - 1];
+    const exact = { pattern: "x" };
+    const sub = new Router(compileAny, selectFirst, { pattern: "*" }, exact);
+    const host = new Router(compileAny, selectLast);
+
+    expect(host.mount("a/", sub)).toBe(host);
+    host.add({ pattern: "a/other" });
+    expect(host.resolve("a/x").pattern).toBe("*");
+    expect(host.resolve("a/y").pattern).toBe("*");
+    expect(host.resolve("a/other").pattern).toBe("a/other");
+    expect(host.routes().map(({ pattern }) => pattern)).toEqual(["a/*", "a/x", "a/other"]);
+    expect(host.build(exact)).toBe("a/x");
+  });
+
+  test("mount() should support nested mounts and parents", () => {
+    const inner = new Router(compilePattern, selectFirst, { pattern: "c", children: [{ pattern: "/d" }] });
+    const middle = new Router(compilePattern, selectFirst).mount("b/", inner);
+    const host = new Router(compilePattern, selectFirst).mount("a/", middle);
+
+    const result = host.match("a/b/c/d");
+    expect(result.route.pattern).toBe("/d");
+    expect(result.parents.map(({ pattern }) => pattern)).toEqual(["c"]);
+    expect(host.remove("c")).toBe(true);
+    expect(host.resolve("a/b/c/d")).toBeUndefined();
+    expect(inner.resolve("c/d").pattern).toBe("/d");
+  });
+
+  test("mount() should reject routes duplicating host routes", () => {
+    const host = new Router(compilePattern, selectFirst, { pattern: "a/b" });
+    const sub = new Router(compilePattern, selectFirst, { pattern: "c" }, { pattern: "b" });
+
+    expect(() => host.mount("a/", sub)).toThrow(/Duplicate route detected: pattern "b"/);
+    expect(host.resolve("a/c")).toBeUndefined();
+  });
+
+  test("remove() should remove a route with its subtree", () => {
+    const parent = { pattern: "users/", children: [{ pattern: "list", children: [{ pattern: "/all" }] }] };
+    const router = new Router(compilePattern, selectFirst, parent, { pattern: "posts" });
+
+    expect(router.remove(parent)).toBe(true);
+    expect(router.resolve("users/")).toBeUndefined();
+    expect(router.resolve("users/list/all")).toBeUndefined();
+    expect(router.resolve("posts").pattern).toBe("posts");
+    expect(router.remove(parent)).toBe(false);
+
+    router.add(parent);
+    expect(router.resolve("users/list").pattern).toBe("list");
+  });
+
+  test("routes() should list flattened routes with their parent chain", () => {
+    const child = { pattern: "/list" };
+    const parent = { pattern: "users", children: [child] };
+    const router = new Router(compilePattern, selectFirst, parent);
+
+    expect(router.routes()).toEqual([
+      { route: parent, pattern: "users", regex: "^users$", flags: "", parents: [], depth: 0, specificity: undefined },
+      {
+        route: child,
+        pattern: "users/list",
+        regex: "^users\\/list$",
+        flags: "",
+        parents: [parent],
+        depth: 1,
+        specificity: undefined,
+      },
+    ]);
+  });
+
+  test("routes() should use the joinPatterns and specificity options", () => {
+    const router = new Router(
+      compilePattern,
+      selectFirst,
+      { joinPatterns: (patterns) => patterns.join(" > "), specificity: (route) => route.pattern.length },
+      { pattern: "a", children: [{ pattern: "bc" }] }
+    );
+
+    expect(router.routes().map(({ pattern, specificity }) => [pattern, specificity])).toEqual([
+      ["a", 1],
+      ["a > bc", 2],
+    ]);
+  });
+
+  test("analyze() should report overlapping routes resolved by registration order", () => {
+    const compileSegments = (pattern, builder) => {
+      for (const [i, segment] of pattern.split(".").entries()) {
+        if (i > 0) builder.exact(".");
+        if (segment === "*") builder.wildcard("[^.]+");
+        else builder.exact(segment);
+      }
+      return builder.build();
+    };
+    const router = new Router(
+      compileSegments,
+      selectFirst,
+      { separator: "." },
+      { pattern: "a.*" },
+      { pattern: "*.b" },
+      { pattern: "c.d" }
+    );
+
+    expect(router.analyze()).toEqual([
+      {
+        type: "ambiguous",
+        severity: "warning",
+        message: 'Routes "a.*" and "*.b" can match the same path and are selected by registration order',
+        routes: [{ pattern: "a.*" }, { pattern: "*.b" }],
+        patterns: ["a.*", "*.b"],
+      },
+    ]);
+  });
+
+  test("analyze() should throw without a segment separator", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "a" });
+
+    expect(() => router.analyze()).toThrow(/Route analysis requires a segment separator/);
+  });
+
+  test("remove() should accept patterns", () => {
+    const router = new Router(compilePattern, selectFirst, { pattern: "a", children: [{ pattern: "a" }] });
+
+    expect(() => router.remove("a")).toThrow(/registered more than once/);
+    expect(router.remove("b")).toBe(false);
+    expect(router.remove("aa")).toBe(false);
+  });
+
+  describe("resolution cache", () => {
+    test("should count hits and misses, including negative results", () => {
+      const router = new Router(compilePattern, selectFirst, { cacheSize: 10 }, { pattern: "a" });
+
+      expect(router.resolve("a").pattern).toBe("a");
+      expect(router.resolve("a").pattern).toBe("a");
+      expect(router.resolve("b")).toBeUndefined();
+      expect(router.resolve("b")).toBeUndefined();
+      expect(router.cacheStats()).toEqual({ hits: 2, misses: 2, skipped: 0, size: 2, capacity: 10 });
+    });
+
+    test("should evict the least recently used results", () => {
+      const router = new Router(compilePattern, selectFirst, { cacheSize: 2 }, { pattern: "a" });
+
+      router.resolve("a");
+      router.resolve("b");
+      router.resolve("a");
+      router.resolve("c");
+      router.resolve("a");
+      router.resolve("b");
+      expect(router.cacheStats()).toMatchObject({ hits: 2, misses: 4, size: 2 });
+    });
+
+    test("should invalidate cached results when routes change", () => {
+      const router = new Router(compilePattern, selectFirst, { cacheSize: 10 }, { pattern: "a" });
+      const b = { pattern: "b" };
+
+      expect(router.resolve("b")).toBeUndefined();
+      router.add(b);
+      expect(router.resolve("b")).toBe(b);
+      router.remove(b);
+      expect(router.resolve("b")).toBeUndefined();
+      router.mount("", new Router(compilePattern, selectFirst, b));
+      expect(router.resolve("b")).toBe(b);
+      expect(router.cacheStats()).toMatchObject({ hits: 0, misses: 4, size: 1 });
+    });
+
+    test("should not cache inputs above the length limit", () => {
+      const router = new Router(compilePattern, selectFirst, { cacheSize: 10, cacheMaxLength: 4 }, { pattern: "a" });
+
+      router.resolve("abcde");
+      router.resolve("abcde");
+      router.resolve("abcd");
+      expect(router.cacheStats()).toEqual({ hits: 0, misses: 1, skipped: 2, size: 1, capacity: 10 });
+    });
+
+    test("should return results that can be modified safely", () => {
+      const router = new Router(compilePattern, selectFirst, { cacheSize: 10 }, { pattern: "a", meta: { n: 1 } });
+
+      const result = router.match("a");
+      result.params.injected = true;
+      result.meta.n = 2;
+      expect(router.match("a")).toMatchObject({ params: {}, meta: { n: 1 } });
+    });
+
+    test("should be disabled by default and reject invalid sizes", () => {
+      const router = new Router(compilePattern, selectFirst, { pattern: "a" });
+
+      router.resolve("a");
+      expect(router.cacheStats()).toEqual({ hits: 0, misses: 0, skipped: 0, size: 0, capacity: 0 });
+      expect(() => new Router(compilePattern, selectFirst, { cacheSize: -1 })).toThrow(/Invalid cache size "-1"/);
+    });
+  });
 });
+
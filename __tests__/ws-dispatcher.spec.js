@@ -0,0 +1,117 @@
+const { EventEmitter } = require("events");
+const { WSRouter, createWsDispatcher } = require("..");
+
+class FakeSocket extends EventEmitter {
+  sent = [];
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+}
+
+describe("createWsDispatcher", () => {
+  const calls = [];
+
+  class MessageRoute {
+    pattern = "room:{id<int>}:message";
+    async message(socket, data, params, result) {
+      calls.push({ data, params, wildcards: result.wildcards });
+      return { delivered: true };
+    }
+  }
+
+  class FailingRoute {
+    pattern = "fail";
+    message() {
+      throw new Error("secret details");
+    }
+  }
+
+  const router = new WSRouter(new MessageRoute(), new FailingRoute(), { pattern: "silent" });
+  const errors = [];
+  const dispatcher = createWsDispatcher(router, { onError: (error) => errors.push(error.message) });
+
+  beforeEach(() => {
+    calls.length = 0;
+    errors.length = 0;
+  });
+
+  test("should call the route handler with payload and params", async () => {
+    const socket = new FakeSocket();
+    await dispatcher.dispatch(socket, JSON.stringify({ event: "room:42:message", data: { text: "hi" } }));
+
+    expect(calls).toEqual([{ data: { text: "hi" }, params: { id: 42 }, wildcards: [] }]);
+    expect(socket.sent).toEqual([]);
+  });
+
+  test("should acknowledge messages with a correlation id", async () => {
+    const socket = new FakeSocket();
+    await dispatcher.dispatch(socket, Buffer.from(JSON.stringify({ id: 7, event: "room:1:message", data: "hi" })));
+
+    expect(socket.sent).toEqual([{ id: 7, ok: true, data: { delivered: true } }]);
+  });
+
+  test("should reply with structured errors", async () => {
+    const socket = new FakeSocket();
+    await dispatcher.dispatch(socket, "not json");
+    await dispatcher.dispatch(socket, JSON.stringify({ data: "no event" }));
+    await dispatcher.dispatch(socket, JSON.stringify({ id: "a", event: "room:x:message" }));
+    await dispatcher.dispatch(socket, JSON.stringify({ event: "silent" }));
+    await dispatcher.dispatch(socket, JSON.stringify({ id: "b", event: "fail" }));
+
+    expect(socket.sent.map(({ id, event, ok, error }) => [id, event, ok, error.code])).toEqual([
+      [undefined, undefined, false, "INVALID_MESSAGE"],
+      [undefined, undefined, false, "INVALID_MESSAGE"],
+      ["a", "room:x:message", false, "UNKNOWN_EVENT"],
+      [undefined, "silent", false, "UNKNOWN_EVENT"],
+      ["b", "fail", false, "HANDLER_ERROR"],
+    ]);
+    expect(socket.sent[4].error.message).toBe("The event handler failed");
+    expect(errors).toEqual(["secret details"]);
+  });
+
+  test("should dispatch messages from attached sockets until detached", async () => {
+    const socket = new FakeSocket();
+    const detach = dispatcher.attach(socket);
+
+    socket.emit("message", JSON.stringify({ id: 1, event: "room:1:message" }));
+    await new Promise(setImmediate);
+    expect(socket.sent).toEqual([{ id: 1, ok: true, data: { delivered: true } }]);
+
+    detach();
+    socket.emit("message", JSON.stringify({ id: 2, event: "room:1:message" }));
+    await new Promise(setImmediate);
+    expect(socket.sent).toHaveLength(1);
+  });
+
+  test("should report send failures of attached sockets to onError", async () => {
+    const socket = new FakeSocket();
+    socket.send = () => {
+      throw new Error("socket closed");
+    };
+    dispatcher.attach(socket);
+
+    socket.emit("message", "not json");
+    await new Promise(setImmediate);
+    expect(errors).toEqual(["socket closed"]);
+  });
+
+  test("should keep replying when onError throws or rejects", async () => {
+    const onError = jest.fn(() => {
+      throw new Error("handler bug");
+    });
+    const socket = new FakeSocket();
+    await createWsDispatcher(router, { onError }).dispatch(socket, JSON.stringify({ id: 1, event: "fail" }));
+    await createWsDispatcher(router, { onError: async () => Promise.reject(new Error("async bug")) }).dispatch(
+      socket,
+      JSON.stringify({ id: 2, event: "fail" })
+    );
+    await new Promise(setImmediate);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(socket.sent.map(({ id, error }) => [id, error.code])).toEqual([
+      [1, "HANDLER_ERROR"],
+      [2, "HANDLER_ERROR"],
+    ]);
+  });
+});
@@ -20,6 +20,18 @@ describe("compileWsPattern", () => {
     expect(regex.test("user:online")).toBe(false);
   });
 
+  test("should not match wildcard across separators", () => {
+    const builder = new RegExpPatternBuilder();
+    const regex = compileWsPattern("user:*", builder);
+    expect(regex.test("user:online")).toBe(true);
+    expect(regex.test("user:online:mobile")).toBe(false);
+  });
+
+  test("should match several segments with deep wildcards only", () => {
+    expect(compileWsPattern("*", new RegExpPatternBuilder()).test("user:online")).toBe(false);
+    expect(compileWsPattern("user:**", new RegExpPatternBuilder()).test("user:online:mobile")).toBe(true);
+  });
+
   test("should compile wildcard prefix", () => {
     const builder = new RegExpPatternBuilder();
     const regex = compileWsPattern("*:join", builder);
@@ -65,6 +77,51 @@ describe("compileWsPattern", () => {
     expect(regex.test("chat:message")).toBe(true);
     expect(regex.test("chatmessage")).toBe(false);
   });
+
+  test("should compile named params", () => {
+    const builder = new RegExpPatternBuilder();
+    const regex = compileWsPattern("room:{id}:message", builder);
+    expect(regex.exec("room:42:message").groups).toEqual({ id: "42" });
+    expect(regex.test("room:42:x:message")).toBe(false);
+    expect(builder.tokens[2]).toEqual({ type: "param", name: "id", constraint: "[^:/?#]+" });
+  });
+
+  test("should compile params within a segment", () => {
+    const regex = compileWsPattern("user-{name}:online", new RegExpPatternBuilder());
+    expect(regex.exec("user-bob:online").groups).toEqual({ name: "bob" });
+    expect(regex.test("user-:online")).toBe(false);
+  });
+
+  test("should compile param constraints and types", () => {
+    const constrained = compileWsPattern("room:{id(\\d+)}", new RegExpPatternBuilder());
+    expect(constrained.test("room:42")).toBe(true);
+    expect(constrained.test("room:abc")).toBe(false);
+
+    const typed = compileWsPattern("room:{id<uuid>}", new RegExpPatternBuilder());
+    expect(typed.test("room:123e4567-e89b-12d3-a456-426614174000")).toBe(true);
+    expect(typed.test("room:42")).toBe(false);
+  });
+
+  test("should not split constraints containing the separator", () => {
+    const regex = compileWsPattern("ns:{key((?:a|b):c)}", new RegExpPatternBuilder());
+    expect(regex.exec("ns:a:c").groups).toEqual({ key: "a:c" });
+  });
+
+  test("should compile deep wildcards across separators", () => {
+    const regex = compileWsPattern("room:**", new RegExpPatternBuilder());
+    expect(regex.test("room:42")).toBe(true);
+    expect(regex.test("room:42:message:edit")).toBe(true);
+    expect(regex.test("room")).toBe(false);
+    expect(regex.test("room:")).toBe(false);
+  });
+
+  test("should throw for invalid params", () => {
+    expect(() => compileWsPattern("room:{id<date>}", new RegExpPatternBuilder())).toThrow(
+      /Unknown param type "date" in param "{id<date>}"/
+    );
+    expect(() => compileWsPattern("room:{(x)}", new RegExpPatternBuilder())).toThrow(/Invalid param "{\(x\)}"/);
+    expect(() => compileWsPattern("room:{id", new RegExpPatternBuilder())).toThrow(/Unbalanced brackets/);
+  });
 });
 
 describe("route specificity", () => {
@@ -131,6 +188,23 @@ describe("route specificity", () => {
     const matched = router.resolve("chat:room:message");
     expect(matched.pattern).toBe("chat:room:message");
   });
+
+  test("should prefer exact > constrained param > param > wildcard > deep wildcard", () => {
+    const router = new WSRouter(
+      { pattern: "room:**" },
+      { pattern: "room:*:message" },
+      { pattern: "room:{name}:message" },
+      { pattern: "room:{id<int>}:message" },
+      { pattern: "room:lobby:message" }
+    );
+
+    expect(router.resolve("room:lobby:message").pattern).toBe("room:lobby:message");
+    expect(router.resolve("room:42:message").pattern).toBe("room:{id<int>}:message");
+    expect(router.resolve("room:abc:message").pattern).toBe("room:{name}:message");
+    expect(router.resolve("room:abc:typing").pattern).toBe("room:**");
+    router.remove("room:{name}:message");
+    expect(router.resolve("room:abc:message").pattern).toBe("room:*:message");
+  });
 });
 
 describe("WSRouter", () => {
@@ -236,4 +310,110 @@ describe("WSRouter", () => {
 
     expect(router.resolve("user:online")).toBeUndefined();
   });
+
+  test("should match wildcard values", () => {
+    const router = new WSRouter(
+      { pattern: "chat:*" },
+      { pattern: "chat:room:*:message" }
+    );
+
+    const matched = router.match("chat:room:42:message");
+    expect(matched.route.pattern).toBe("chat:room:*:message");
+    expect(matched.params).toEqual({});
+    expect(matched.wildcards).toEqual(["42"]);
+  });
+
+  test("should build event names", () => {
+    const message = { pattern: ":*:message" };
+    const router = new WSRouter({ pattern: "chat", children: [message] });
+
+    expect(router.build(message, {}, ["room 1"])).toBe("chat:room 1:message");
+    expect(router.match(router.build(message, {}, ["room 1"])).wildcards).toEqual(["room 1"]);
+  });
+
+  test("should register plugin events at runtime", () => {
+    const chat = { pattern: "chat" };
+    const router = new WSRouter(chat);
+
+    router.add({ pattern: ":*:typing" }, { parent: chat });
+    expect(router.match("chat:room:typing").wildcards).toEqual(["room"]);
+
+    router.remove(chat);
+    expect(router.resolve("chat:room:typing")).toBeUndefined();
+  });
+
+  test("should list joined event patterns", () => {
+    const router = new WSRouter({ pattern: "chat", children: [{ pattern: ":*:message" }] });
+
+    expect(router.routes().map(({ pattern, specificity }) => [pattern, specificity])).toEqual([
+      ["chat", 12000],
+      ["chat:*:message", 24010],
+    ]);
+  });
+
+  test("should analyze overlapping event patterns", () => {
+    const router = new WSRouter({ pattern: "chat:*" }, { pattern: "*:message" }, { pattern: "chat:message" });
+
+    expect(router.analyze().map(({ type, patterns }) => [type, patterns])).toEqual([
+      ["ambiguous", ["chat:*", "*:message"]],
+    ]);
+  });
+
+  test("should join mount prefixes with the event separator", () => {
+    const message = { pattern: "message" };
+    const router = new WSRouter().mount("chat:", new WSRouter(message, { pattern: ":typing" }));
+
+    expect(router.resolve("chat:message")).toBe(message);
+    expect(router.resolve("chatmessage")).toBeUndefined();
+    expect(router.routes().map(({ pattern, regex }) => [pattern, regex])).toEqual([
+      ["chat:message", "^chat:message$"],
+      ["chat:typing", "^chat:typing$"],
+    ]);
+  });
+
+  test("should match named params and deep wildcards", () => {
+    const message = { pattern: ":{id<int>}:message" };
+    const router = new WSRouter({ pattern: "room", children: [message, { pattern: ":**" }] });
+
+    expect(router.match("room:42:message").params).toEqual({ id: 42 });
+    expect(router.match("room:42:message:edit").wildcards).toEqual(["42:message:edit"]);
+    expect(router.build(message, { id: 7 })).toBe("room:7:message");
+  });
+
+  test("should fan out events to every matching route", () => {
+    const router = new WSRouter(
+      { pattern: "**" },
+      { pattern: "user:*" },
+      { pattern: "user:online" },
+      { pattern: "chat:*" }
+    );
+
+    expect(router.resolveAll("user:online").map(({ route }) => route.pattern)).toEqual([
+      "user:online",
+      "user:*",
+      "**",
+    ]);
+    expect(router.resolveAll("user:online")[2].wildcards).toEqual(["user:online"]);
+  });
+
+  test("should reject stacked deep wildcards in safe mode", () => {
+    expect(() => new WSRouter({ pattern: "a:**:b:**" })).not.toThrow();
+    expect(() => new WSRouter({ safe: true }, { pattern: "a:**:b:**" })).toThrow(
+      /Cannot compile route "a:\*\*:b:\*\*": Only one deep wildcard is allowed per route in safe mode/
+    );
+    expect(() => new WSRouter({ safe: true }, { pattern: "room:**", children: [{ pattern: ":**" }] })).toThrow(
+      /Only one deep wildcard/
+    );
+  });
+
+  test("should serve repeated events from the resolution cache", () => {
+    const message = { pattern: "chat:{room}:message" };
+    const router = new WSRouter({ cacheSize: 100 }, message, { pattern: "chat:*" });
+
+    for (let i = 0; i < 3; i++) {
+      expect(router.match("chat:general:message")).toMatchObject({ route: message, params: { room: "general" } });
+      expect(router.resolveAll("chat:general:message")).toHaveLength(1);
+    }
+    expect(router.cacheStats()).toMatchObject({ hits: 5, misses: 1, size: 1 });
+  });
 });
@@ -1,30 +1,271 @@
+import type { IncomingMessage, ServerResponse } from "http";
+
 /**
  * Route definition with pattern and method handlers.
  * @template P - Pattern type (usually string)
  */
 export type IBaseRoute<P> = {
   readonly pattern: P;
-  readonly children?: IBaseRoute<P>[];
+  /** Optional name, unique across the router, used to look the route up with `get` and `build` */
+  readonly name?: string;
+  /** Arbitrary metadata such as tags, auth scopes or a rate-limit class, inherited and overridden by child routes */
+  readonly meta?: Record<string, unknown>;
+  /**
+   * Host pattern such as `"{tenant}.example.com"`, inherited by child routes.
+   * Requires a router with a `compileHost` option; `HTTPRouter` provides one.
+   */
+  readonly host?: string;
+  readonly children?: readonly IBaseRoute<P>[];
+};
+
+/** Value of a param with the given type name: `int`, `number` and `duration` coerce to numbers */
+type ParamValue<T extends string> = T extends "int" | "number" | "duration" ? number : string;
+
+/** A param read from a pattern as `[name, value, optional]` */
+type ParamEntry = [string, unknown, boolean];
+
+/** Splits a param body such as `id<int>?` into its name and the rest */
+type ReadParamName<S extends string, Name extends string = ""> = S extends `${infer C}${infer Rest}`
+  ? C extends "<" | "(" | "?"
+    ? [Name, S]
+    : ReadParamName<Rest, `${Name}${C}`>
+  : [Name, ""];
+
+type DescribeParam<Body extends string, InGroup extends boolean> =
+  ReadParamName<Body> extends [infer Name extends string, infer Rest extends string]
+    ? [
+        Name,
+        Rest extends `<${infer T}>${string}` ? ParamValue<T> : string,
+        InGroup extends true ? true : Body extends `${string}?` ? true : false
+      ]
+    : never;
+
+/** Counts parentheses so that constraints such as `([A-Z]{3})` are read as a whole */
+type NextParens<C extends string, Parens extends unknown[]> = C extends "("
+  ? [...Parens, unknown]
+  : C extends ")"
+  ? Parens extends [unknown, ...infer Rest]
+    ? Rest
+    : []
+  : Parens;
+
+/** Reads an HTTP param piece up to the next `/`, `{` or `}` outside of a constraint */
+type ReadHTTPPiece<S extends string, Parens extends unknown[] = [], Piece extends string = ""> =
+  S extends `${infer C}${infer Rest}`
+    ? Parens extends []
+      ? C extends "/" | "{" | "}"
+        ? [Piece, S]
+        : ReadHTTPPiece<Rest, NextParens<C, Parens>, `${Piece}${C}`>
+      : ReadHTTPPiece<Rest, NextParens<C, Parens>, `${Piece}${C}`>
+    : [Piece, ""];
+
+/** Reads a `{param}` body up to its closing brace outside of a constraint */
+type ReadBraceBody<S extends string, Parens extends unknown[] = [], Body extends string = ""> =
+  S extends `${infer C}${infer Rest}`
+    ? Parens extends []
+      ? C extends "}"
+        ? [Body, Rest]
+        : ReadBraceBody<Rest, NextParens<C, Parens>, `${Body}${C}`>
+      : ReadBraceBody<Rest, NextParens<C, Parens>, `${Body}${C}`>
+    : [Body, ""];
+
+/** Params are pieces starting with `:`; params inside `{...}` groups are optional */
+type HTTPParamEntries<
+  S extends string,
+  InGroup extends boolean = false,
+  AtPiece extends boolean = true,
+  Entries extends ParamEntry = never
+> = S extends `${infer C}${infer Rest}`
+  ? C extends "{"
+    ? HTTPParamEntries<Rest, true, true, Entries>
+    : C extends "}"
+    ? HTTPParamEntries<Rest, false, true, Entries>
+    : C extends "/"
+    ? HTTPParamEntries<Rest, InGroup, true, Entries>
+    : [C, AtPiece] extends [":", true]
+    ? ReadHTTPPiece<Rest> extends [infer Piece extends string, infer After extends string]
+      ? HTTPParamEntries<After, InGroup, false, Entries | DescribeParam<Piece, InGroup>>
+      : Entries
+    : HTTPParamEntries<Rest, InGroup, false, Entries>
+  : Entries;
+
+/** Params are `{name}`, `{name<type>}`, `{name(regex)}` or optional `{name?}` */
+type BraceParamEntries<S extends string, Entries extends ParamEntry = never> = S extends `${string}{${infer Rest}`
+  ? ReadBraceBody<Rest> extends [infer Body extends string, infer After extends string]
+    ? BraceParamEntries<After, Entries | DescribeParam<Body, false>>
+    : Entries
+  : Entries;
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+type ParamsFromEntries<E extends ParamEntry> = Simplify<
+  { [K in E as K[2] extends true ? never : K[0]]: K[1] } & {
+    [K in E as K[2] extends true ? K[0] : never]?: K[1] | undefined;
+  }
+>;
+
+/**
+ * Params of an HTTP pattern such as `users/:id<int>/posts/:page?`, i.e. `{ id: number; page?: string }`.
+ * `<int>` and `<number>` params are numbers, params that are optional or inside `{...}` groups may be `undefined`.
+ * Patterns typed as `string` yield `Record<string, any>`.
+ */
+export type HTTPParams<P extends string> = string extends P
+  ? Record<string, any>
+  : ParamsFromEntries<HTTPParamEntries<P>>;
+
+/**
+ * Params of a WebSocket event pattern such as `room:{id<int>}:message`, i.e. `{ id: number }`.
+ * Patterns typed as `string` yield `Record<string, any>`.
+ */
+export type WSParams<P extends string> = string extends P
+  ? Record<string, any>
+  : ParamsFromEntries<BraceParamEntries<P>>;
+
+/**
+ * Params of a command pattern such as `/ban {user<mention>} {duration<duration>} {reason?}`,
+ * i.e. `{ user: string; duration: number; reason?: string }`.
+ */
+export type CommandParams<P extends string> = WSParams<P>;
+
+/** Params of a host pattern such as `{tenant}.example.com`; routes without a host have none */
+export type HostParams<H> = H extends string ? WSParams<H> : {};
+
+/**
+ * A route of a router together with the full pattern and host it is matched with, as flattened from `children`.
+ * @template R - Route type
+ */
+export type FlatRoute<R = IBaseRoute<string>, Pattern extends string = string, Host = unknown> = {
+  route: R;
+  pattern: Pattern;
+  host: Host;
 };
 
+type JoinPatterns<Prefix extends string, Pattern, Separator extends string> = Pattern extends string
+  ? string extends Pattern | Prefix
+    ? string
+    : Prefix extends ""
+    ? Pattern
+    : `${Prefix}${Separator}${Pattern}`
+  : string;
+
+/**
+ * Flattens routes with literal `children`, e.g. routes declared `as const`, into `FlatRoute`s.
+ * @template R - Route type
+ * @template Separator - Joins parent and child patterns
+ */
+export type FlattenRoutes<R, Separator extends string, Prefix extends string = "", Host = undefined> =
+  R extends IBaseRoute<any>
+    ? FlattenRoute<
+        R,
+        JoinPatterns<Prefix, R["pattern"], Separator>,
+        R extends { readonly host: infer H extends string } ? H : Host,
+        Separator
+      >
+    : never;
+
+type FlattenRoute<R, Pattern extends string, Host, Separator extends string> =
+  | FlatRoute<R, Pattern, Host>
+  | (R extends { readonly children: readonly (infer C)[] } ? FlattenRoutes<C, Separator, Pattern, Host> : never);
+
+/** `name` of a route, `never` for route types without one */
+type RouteName<R> = R extends unknown
+  ? "name" extends keyof R
+    ? Exclude<R[keyof R & "name"], undefined>
+    : never
+  : never;
+
+/**
+ * Pattern grammar a router infers params with: `HTTPRouter` uses `"http"`, `WSRouter` `"ws"`
+ * and `CommandRouter` `"command"`. Custom routers use `"none"` and leave params untyped.
+ */
+export type ParamGrammar = "http" | "ws" | "command" | "none";
+
+/** Separator the grammar's router joins parent and child patterns with */
+type GrammarSeparator<G> = G extends "http" ? "/" : G extends "command" ? " " : "";
+
+type GrammarRoutes<R, G> = FlattenRoutes<R, GrammarSeparator<G>>;
+
+/** Params of a flattened route for the given pattern grammar */
+type FlatRouteParams<F extends FlatRoute<any, string, any>, Grammar> = Grammar extends "http"
+  ? Simplify<HTTPParams<F["pattern"]> & HostParams<F["host"]>>
+  : Simplify<WSParams<F["pattern"]> & HostParams<F["host"]>>;
+
+/** Match results of flattened routes; comparing `name` narrows `route` and `params` */
+type FlatMatchResult<F, Grammar, All extends FlatRoute<any, string, any> = Extract<F, FlatRoute<any, string, any>>> =
+  F extends FlatRoute<any, string, any>
+    ? Omit<MatchResult<F["route"]>, "name" | "params" | "parents"> & {
+        name: "name" extends keyof F["route"] ? F["route"][keyof F["route"] & "name"] : undefined;
+        params: FlatRouteParams<F, Grammar>;
+        parents: All["route"][];
+      }
+    : never;
+
+/** The flattened route a route object or name refers to */
+type BuildTarget<F, T> = T extends string ? Extract<F, { route: { readonly name: T } }> : Extract<F, { route: T }>;
+
+/** Values accepted by `build`: numbers for numeric params, strings or numbers otherwise */
+type BuildValues<P> = { [K in keyof P]: Exclude<P[K], undefined> extends number ? number : string | number };
+
+/** A route or route name accepted by `build` */
+type RouteTarget<R, G> = G extends "none"
+  ? R | string
+  : GrammarRoutes<R, G>["route"] | RouteName<GrammarRoutes<R, G>["route"]>;
+
+/** `build` arguments after the route; `params` may be omitted when the route has no required params */
+type RouteBuildArgs<R, T, G> = G extends "none"
+  ? [params?: Record<string, unknown>, wildcards?: unknown[]]
+  : BuildArgs<GrammarRoutes<R, G>, T, G>;
+
+type BuildArgs<F, T, Grammar> = [BuildTarget<F, T>] extends [never]
+  ? [params?: Record<string, unknown>, wildcards?: unknown[]]
+  : BuildTarget<F, T> extends infer Target extends FlatRoute<any, string, any>
+  ? FlatRouteParams<Target, Grammar> extends infer P
+    ? {} extends P
+      ? [params?: BuildValues<P>, wildcards?: unknown[]]
+      : [params: BuildValues<P>, wildcards?: unknown[]]
+    : never
+  : never;
+
+/**
+ * Structured record of a builder call, used to build paths back from a route.
+ */
+export type PatternToken =
+  | { type: "exact"; value: string }
+  | { type: "param"; name: string; constraint: string; parse?: (value: string) => unknown }
+  | { type: "wildcard"; constraint: string }
+  | { type: "deepWildcard"; constraint: string }
+  | { type: "optional"; tokens: PatternToken[] };
+
 /**
  * Builder interface for constructing regex patterns from route segments.
  */
 export interface RegExpPatternBuilder {
   /** Internal array of pattern parts used to construct the final RegExp */
   parts: string[];
+  /** Structured record of the calls that produced `parts` */
+  tokens: PatternToken[];
+  /** Number of wildcard captures emitted so far (named `$0`, `$1`, ...) */
+  wildcards: number;
   /** Adds an exact string match (escaped) */
   exact(str: string): this;
-  /** Adds a named parameter with optional constraint */
-  param(name: string, constraint?: string): this;
-  /** Adds a single-segment wildcard */
-  wildcard(): this;
-  /** Adds a multi-segment wildcard */
+  /**
+   * Adds a named parameter with optional constraint and a parser applied to matched values.
+   * @throws {Error} If the name is not a valid regex group name or the constraint can backtrack catastrophically
+   */
+  param(name: string, constraint?: string, parse?: (value: string) => unknown): this;
+  /**
+   * Adds a single-segment wildcard captured as the next `$n` group, with optional constraint.
+   * @throws {Error} If the constraint can backtrack catastrophically
+   */
+  wildcard(constraint?: string): this;
+  /** Adds a multi-segment wildcard captured as the next `$n` group */
   deepWildcard(): this;
-  /** Concatenates another builder's parts */
+  /** Adds an optional group built by the callback; its params match as `undefined` when absent */
+  optional(callback: (builder: RegExpPatternBuilder) => void): this;
+  /** Concatenates another builder's parts, renumbering its wildcard captures */
   concat(other: RegExpPatternBuilder): this;
-  /** Builds the final RegExp */
-  build(): RegExp;
+  /** Builds the final RegExp with optional flags */
+  build(flags?: string): RegExp;
 }
 
 /**
@@ -35,9 +276,10 @@ export type CompilePattern<P> = (pattern: P, builder: RegExpPatternBuilder) => R
 
 /**
  * Strategy for selecting which route to use when multiple routes match.
+ * Returning `undefined` or a route that is not among the matches selects no route.
  * @template P - Pattern type
  */
-export type SelectStrategy<P> = (matched: IBaseRoute<P>[]) => IBaseRoute<P>;
+export type SelectStrategy<P> = (matched: IBaseRoute<P>[]) => IBaseRoute<P> | undefined;
 
 /** Internal representation of a compiled route */
 export type CompiledRoute<P> = {
@@ -45,53 +287,718 @@ export type CompiledRoute<P> = {
   regex: RegExp;
 };
 
+/**
+ * Options accepted as the first route argument of a router constructor.
+ */
+export type RouterOptions = {
+  /**
+   * Matching engine. `"regex"` tests every compiled route, `"trie"` walks a segment trie
+   * built from the builder tokens and only tests the candidates it finds.
+   * Defaults to `"trie"` for `HTTPRouter` and `WSRouter`, `"regex"` otherwise.
+   */
+  engine?: "regex" | "trie";
+  /** Segment separator used by the `"trie"` engine (`"/"` for HTTP, `":"` for WS) */
+  separator?: string;
+  /**
+   * Decodes a captured param or wildcard value before it is parsed.
+   * Returning `undefined` rejects the candidate route. `HTTPRouter` percent-decodes by default.
+   */
+  decode?: (value: string, token: PatternToken) => string | undefined;
+  /**
+   * Encodes a param or wildcard value inserted by `build`, the inverse of `decode`.
+   * Values are inserted as they are by default. `HTTPRouter` percent-encodes them.
+   */
+  encode?: (value: string, token: PatternToken) => string;
+  /** Scores a route for `routes()`. `HTTPRouter` and `WSRouter` use their specificity scores */
+  specificity?: (route: IBaseRoute<any>) => number;
+  /**
+   * Joins the patterns of a route and its parents into the full pattern reported by `routes()`.
+   * Concatenates them by default; `HTTPRouter` joins them with `/`, `WSRouter` keeps a single `:` between them.
+   */
+  joinPatterns?: (patterns: any[]) => string;
+  /**
+   * Joins a compiled mount prefix with the builder of a mounted route, e.g. to drop or insert a separator.
+   * Concatenates them by default; `HTTPRouter` and `WSRouter` join them through their pattern grammar.
+   * @param prefix - The compiled mount prefix
+   * @param builder - The mounted route's builder, including its parents
+   * @param pattern - The mount prefix as passed to `mount`
+   */
+  joinBuilders?: (prefix: RegExpPatternBuilder, builder: RegExpPatternBuilder, pattern: string) => RegExpPatternBuilder;
+  /**
+   * Request methods a route handles, or `undefined` if it handles all of them.
+   * `analyze()` only reports conflicts between routes handling a common method.
+   * `HTTPRouter` lists the implemented `get`, `post`, ... handlers.
+   */
+  methods?: (route: IBaseRoute<any>) => string[] | undefined;
+  /**
+   * Compiles a route's `host` pattern. Host params are merged into the match params.
+   * `HTTPRouter` compiles dot-separated labels with `{name}` params, `*` and `**`.
+   */
+  compileHost?: CompilePattern<string>;
+  /**
+   * Scores a host pattern. Routes with the highest-scoring matching host are selected first,
+   * routes without a host come last. `HTTPRouter` prefers exact labels over params and wildcards.
+   */
+  hostSpecificity?: (host: string) => number;
+  /**
+   * Restricts constraints to a vetted subset without `.`, lookarounds, anchors or alternation
+   * inside repeated groups, rejects adjacent unbounded quantifiers that can match the same characters,
+   * and allows a single `**` per route. Unsafe patterns throw when added.
+   */
+  safe?: boolean;
+  /** Paths longer than this never match. Defaults to `8192` */
+  maxLength?: number;
+  /**
+   * Number of results kept in an LRU cache keyed by path and host, including negative results.
+   * The cache is cleared whenever routes are added, removed or mounted. Disabled by default.
+   * @throws {Error} If the size is not a non-negative integer
+   */
+  cacheSize?: number;
+  /** Inputs longer than this, path and host combined, are matched without being cached. Defaults to `256` */
+  cacheMaxLength?: number;
+};
+
+/**
+ * Resolution cache counters returned by `router.cacheStats()`.
+ */
+export type CacheStats = {
+  /** Lookups served from the cache */
+  hits: number;
+  /** Lookups that matched the routes and stored the result */
+  misses: number;
+  /** Lookups above `cacheMaxLength`, matched without caching */
+  skipped: number;
+  /** Number of cached results */
+  size: number;
+  /** The configured `cacheSize`, `0` when the cache is disabled */
+  capacity: number;
+};
+
+/**
+ * Options accepted by `HTTPRouter` in addition to the router options.
+ */
+export type HTTPRouterOptions = Omit<RouterOptions, "separator"> & {
+  /**
+   * `"strict"` (default) treats `/users/` and `/users` as different paths, `"loose"` matches both,
+   * `"redirect"` matches both and reports the path without the trailing slash in `redirect`.
+   */
+  trailingSlash?: "strict" | "loose" | "redirect";
+  /**
+   * `"strict"` (default) keeps `//users` distinct, `"collapse"` matches it as `/users`,
+   * `"redirect"` matches it and reports the collapsed path in `redirect`.
+   */
+  duplicateSlashes?: "strict" | "collapse" | "redirect";
+  /** Set to `false` to match static segments case-insensitively. Defaults to `true` */
+  caseSensitive?: boolean;
+};
+
+/**
+ * Options accepted by `match` and `resolve`.
+ * @template R - Route type
+ */
+export type MatchOptions<R> = {
+  /** Only candidates accepted by the filter are passed to the select strategy */
+  filter?: (candidate: MatchResult<R>) => boolean;
+  /**
+   * Request host. Routes with a `host` pattern only match when it is given and matches.
+   * `HTTPRouter` lowercases it and strips the port, so a raw `Host` header can be passed.
+   */
+  host?: string;
+};
+
+/**
+ * Options accepted by `HTTPRouter.match` and `HTTPRouter.resolve`.
+ * @template R - Route type
+ */
+export type HTTPMatchOptions<R> = MatchOptions<R> & {
+  /**
+   * Request method. Only routes with a matching handler (`get`, `post`, ...) are selected;
+   * HEAD falls back to `get` and OPTIONS is answered automatically.
+   */
+  method?: string;
+};
+
+/**
+ * A flattened route as reported by `routes()`.
+ * @template R - Route type
+ */
+export type RouteInfo<R> = {
+  route: R;
+  /** Host pattern the route is bound to, if any */
+  host: string | undefined;
+  /** Pattern joined with the patterns of all parent routes */
+  pattern: string;
+  /** Source of the compiled regex */
+  regex: string;
+  /** Flags of the compiled regex */
+  flags: string;
+  /** Parent routes, outermost first */
+  parents: R[];
+  depth: number;
+  /** Specificity score, if the router defines one */
+  specificity: number | undefined;
+};
+
+/**
+ * JSON representation of a flattened route as returned by `toJSON()`.
+ */
+export type RouteJSON = Omit<RouteInfo<unknown>, "route" | "parents" | "host"> & {
+  host?: string;
+  name?: string;
+  /** Full patterns of the parent routes, outermost first */
+  parents: string[];
+};
+
+/**
+ * A problem found by `analyze()`.
+ * - `ambiguous`: two routes can match the same path and are selected by registration order
+ * - `shadowed`: the first route can never be selected because the second one matches all of its paths
+ * - `catchAll`: a `**` route swallows the following routes so they can never be selected
+ * @template R - Route type
+ */
+export type RouteIssue<R> = {
+  type: "ambiguous" | "shadowed" | "catchAll";
+  /** `"warning"` for ambiguous routes, `"error"` for routes that can never be selected */
+  severity: "warning" | "error";
+  message: string;
+  routes: R[];
+  /** Full patterns of `routes` */
+  patterns: string[];
+};
+
+/**
+ * Options accepted by `add`.
+ * @template R - Route type
+ */
+export type AddOptions<R> = {
+  /** A registered route (or its `name`) the new route is nested under */
+  parent?: R | string;
+};
+
+/**
+ * Result of matching a path against the route table.
+ * @template R - Route type
+ */
+export type MatchResult<R> = {
+  /** The selected route */
+  route: R;
+  /** `name` of the selected route, e.g. for logging and metrics labels */
+  name: string | undefined;
+  /** Named parameter values, including those declared by parent routes, coerced by their param type */
+  params: Record<string, any>;
+  /** Wildcard (`*`) and deep wildcard (`**`) values in pattern order */
+  wildcards: string[];
+  /** Values of the `*` and `**` labels of the route's host pattern, set for routes with a host */
+  hostWildcards?: string[];
+  /** The compiled regex that matched */
+  regex: RegExp;
+  /** Parent routes from the root down to the selected route's parent */
+  parents: R[];
+  /** `meta` of the parent routes and the selected route merged in that order */
+  meta: Record<string, unknown>;
+};
+
+/**
+ * Result of matching a request URL with `HTTPRouter`.
+ * @template R - Route type
+ */
+export type HTTPMatchResult<R> = FlatMatchResult<GrammarRoutes<R, "http">, "http"> & {
+  /** Parsed query string; repeated keys collect into arrays */
+  query: Record<string, string | string[]>;
+  /** Canonical path and query the client should be redirected to, set by the `"redirect"` policies */
+  redirect?: string;
+  /**
+   * Name of the route method handling the request, set when a `method` is given.
+   * `undefined` for an automatic OPTIONS response.
+   */
+  handler?: string;
+  /** Methods supported by the routes matching the path, set when a `method` is given */
+  allow?: string[];
+};
+
+/**
+ * Result of `HTTPRouter.match` when the path matches but no route implements the method.
+ */
+export type MethodNotAllowedResult = {
+  methodNotAllowed: true;
+  /** Methods supported by the routes matching the path, for the `Allow` header */
+  allow: string[];
+  query: Record<string, string | string[]>;
+  redirect?: string;
+};
+
 /**
  * Core router class supporting custom protocols and selection strategies.
  * @template R - Route type extending IBaseRoute
+ * @template Result - Type of match results
+ * @template Grammar - Pattern grammar `build` infers params with
  */
-export class Router<R extends IBaseRoute> {
+export class Router<R extends IBaseRoute<any>, Result = MatchResult<R>, Grammar extends ParamGrammar = "none"> {
   /**
    * Creates a new router instance.
    * @param compilePattern - Function to compile patterns into RegExp
    * @param selectRoute - Strategy for selecting between multiple matches
    * @param routes - Route definitions
-   * @throws {Error} If duplicate routes are detected
+   * @throws {Error} If duplicate routes or names are detected
    */
   constructor(
     compilePattern: CompilePattern<R["pattern"]>,
     selectRoute: SelectStrategy<R["pattern"]>,
     ...routes: R[]
   );
+  /**
+   * Creates a new router instance with options.
+   * @param compilePattern - Function to compile patterns into RegExp
+   * @param selectRoute - Strategy for selecting between multiple matches
+   * @param options - Router options
+   * @param routes - Route definitions
+   * @throws {Error} If duplicate routes or names are detected or the options are invalid
+   */
+  constructor(
+    compilePattern: CompilePattern<R["pattern"]>,
+    selectRoute: SelectStrategy<R["pattern"]>,
+    options: RouterOptions,
+    ...routes: R[]
+  );
+  /**
+   * Matches a path and extracts its parameters.
+   * @param path - The path to match
+   * @param options - Match options
+   * @returns The match result or undefined if no match found
+   */
+  match(path: string, options?: MatchOptions<R>): Result | undefined;
   /**
    * Resolves a path to a matched route.
    * @param path - The path to match
+   * @param options - Match options
    * @returns The matched route or undefined if no match found
    */
-  resolve(path: string): R | undefined;
+  resolve(path: string, options?: MatchOptions<R>): R | undefined;
+  /**
+   * Looks a route up by its `name`.
+   * @returns The route or undefined if no route has the name
+   */
+  get(name: string): R | undefined;
+  /**
+   * Reports the resolution cache counters.
+   * @returns Hits, misses and skipped lookups since the router was created, and the current size
+   */
+  cacheStats(): CacheStats;
+  /**
+   * Matches a path against all routes, e.g. to dispatch an event to every subscriber.
+   * @param path - The path to match
+   * @param options - Match options
+   * @returns All match results, ordered by the select strategy
+   */
+  resolveAll(path: string, options?: MatchOptions<R>): Result[];
+  /**
+   * Builds a concrete path for a route, encoding the substituted values with the `encode` option.
+   * For literal patterns, the routers with a param grammar type `params` from the full pattern and host.
+   * @param routeOrName - A registered route or its `name`
+   * @param params - Values for `:param` segments, including those of parent routes
+   * @param wildcards - Values for `*` and `**` segments in pattern order
+   * @returns The path that resolves back to the route
+   * @throws {Error} If the route is not registered, a value is missing or violates its constraint
+   */
+  build<T extends RouteTarget<R, Grammar>>(routeOrName: T, ...args: RouteBuildArgs<R, T, Grammar>): string;
+  /**
+   * Registers a route and its children without rebuilding the router.
+   * @param route - Route definition
+   * @param options - Add options
+   * @returns The router
+   * @throws {Error} If the parent is not registered or the route duplicates a registered route or name
+   */
+  add(route: R, options?: AddOptions<R>): this;
+  /**
+   * Mounts the routes of another router under a prefix. Its routes are copied, checked for duplicates against
+   * this router, and selected among each other with the mounted router's strategy.
+   * @param prefix - Pattern compiled by this router and prepended to every mounted route
+   * @param router - The router to mount
+   * @returns This router
+   * @throws {Error} If a mounted route duplicates a registered route or name
+   */
+  mount(prefix: R["pattern"] extends string ? string : R["pattern"], router: Router<R, any, any>): this;
+  /**
+   * Removes a route together with its children.
+   * @param routeOrPattern - A registered route or its pattern
+   * @returns Whether a route was removed
+   * @throws {Error} If the pattern is registered more than once
+   */
+  remove(routeOrPattern: R | R["pattern"]): boolean;
+  /**
+   * Lists all registered routes, flattened in registration order.
+   * @returns The route table
+   */
+  routes(): RouteInfo<R>[];
+  /**
+   * Serializable form of the route table, e.g. for admin endpoints or snapshot tests.
+   * @returns The route table without route objects
+   */
+  toJSON(): RouteJSON[];
+  /**
+   * Renders the route table as aligned text columns, e.g. for startup logs.
+   * @returns The table, one line per route after a header line
+   */
+  toTable(): string;
+  /**
+   * Statically checks the route table for overlapping, shadowed and swallowed routes.
+   * Constrained params are compared heuristically on sample values.
+   * @returns The issues found, empty if there are none
+   * @throws {Error} If the router has no segment separator
+   */
+  analyze(): RouteIssue<R>[];
+  /**
+   * Serializes the compiled route table into the source of a CommonJS module, e.g. to be written
+   * at build time. The module exports `(routes, ...args) => RouterClass.fromPrecompiled(table, routes, ...args)`.
+   * @throws {Error} If a route id is not unique, a param uses a custom parser,
+   * or a route was mounted from a router with other strategies
+   */
+  precompile(options?: PrecompileOptions): string;
+  /**
+   * Creates a router from a precompiled table without compiling patterns or checking duplicates.
+   * @param table - Table embedded in a module generated by `precompile`
+   * @param routes - Route objects to bind by id; routes without one are restored from their serialized data
+   * @param args - Constructor arguments; given options override the options stored in the table
+   * @throws {Error} If the table was generated by an incompatible version
+   */
+  static fromPrecompiled<T extends Router<any, any, any>>(
+    this: new (...args: any[]) => T,
+    table: PrecompiledTable,
+    routes?: Record<string, unknown>,
+    ...args: any[]
+  ): T;
 }
 
+/**
+ * Options accepted by `precompile`.
+ */
+export type PrecompileOptions = {
+  /** Module the generated code imports the router class from. Defaults to `"athlete-router"` */
+  require?: string;
+  /** Name of the exported router class. Defaults to the router's class name */
+  className?: string;
+};
+
+/**
+ * Serialized route table embedded in a precompiled module. Each route is identified by its `name`,
+ * or by its full pattern prefixed with its host pattern.
+ */
+export type PrecompiledTable = {
+  version: number;
+  router: string;
+  /** String, number and boolean options of the compiled router, merged under the options given at load time */
+  options?: Record<string, string | number | boolean>;
+  routes: Array<{ id: string; route: IBaseRoute<string> } & Record<string, unknown>>;
+};
+
 /**
  * HTTP router class with built-in pattern compilation and specificity selection.
  * @template R - Route type extending IBaseRoute<string>
  */
-export class HTTPRouter<R extends IBaseRoute<string> = IBaseRoute<string>> extends Router<R> {
+export class HTTPRouter<R extends IBaseRoute<string> = IBaseRoute<string>> extends Router<
+  R,
+  HTTPMatchResult<R> | MethodNotAllowedResult,
+  "http"
+> {
   /**
    * Creates an HTTP router instance.
    * @param routes - Route definitions
-   * @throws {Error} If duplicate routes are detected
+   * @throws {Error} If duplicate routes or names are detected
    */
   constructor(...routes: R[]);
+  /**
+   * Creates an HTTP router instance with options.
+   * @param options - Router and HTTP matching options
+   * @param routes - Route definitions
+   * @throws {Error} If duplicate routes or names are detected or a policy is invalid
+   */
+  constructor(options: HTTPRouterOptions, ...routes: R[]);
+  /**
+   * Matches a request URL, stripping its query string and fragment.
+   * Param and wildcard values are percent-decoded; malformed encodings and encoded `/`
+   * in single-segment values reject the candidate route.
+   * @param url - Path with optional query string and fragment
+   * @param options - Match options, including the request method
+   * @returns The match result with the parsed query, a method not allowed result,
+   * or undefined if no route matches the path
+   */
+  match(
+    url: string,
+    options: HTTPMatchOptions<R> & { method: string }
+  ): HTTPMatchResult<R> | MethodNotAllowedResult | undefined;
+  match(url: string, options?: HTTPMatchOptions<R>): HTTPMatchResult<R> | undefined;
+  /**
+   * Resolves a request URL to the route handling it.
+   * @param url - Path with optional query string and fragment
+   * @param options - Match options, including the request method
+   * @returns The matched route or undefined if no route matches or implements the method
+   */
+  resolve(url: string, options?: HTTPMatchOptions<R>): R | undefined;
+  /**
+   * Matches a request URL against all routes.
+   * @param url - Path with optional query string and fragment
+   * @param options - Match options; with a method, only routes implementing it are returned
+   * @returns All match results, ordered by specificity
+   */
+  resolveAll(url: string, options?: HTTPMatchOptions<R>): HTTPMatchResult<R>[];
 }
 
+/**
+ * Result of matching an event with `WSRouter`.
+ * @template R - Route type
+ */
+export type WSMatchResult<R> = FlatMatchResult<GrammarRoutes<R, "ws">, "ws">;
+
 /**
  * WebSocket router class with built-in event pattern compilation.
  * @template R - Route type extending IBaseRoute<string>
  */
-export class WSRouter<R extends IBaseRoute<string> = IBaseRoute<string>> extends Router<R> {
+export class WSRouter<R extends IBaseRoute<string> = IBaseRoute<string>> extends Router<R, WSMatchResult<R>, "ws"> {
   /**
    * Creates a WebSocket router instance.
    * @param routes - Route definitions
-   * @throws {Error} If duplicate routes are detected
+   * @throws {Error} If duplicate routes or names are detected
+   */
+  constructor(...routes: R[]);
+  /**
+   * Creates a WebSocket router instance with options.
+   * @param options - Router options; `separator` is fixed by the router
+   * @param routes - Route definitions
+   * @throws {Error} If duplicate routes or names are detected
+   */
+  constructor(options: Omit<RouterOptions, "separator">, ...routes: R[]);
+}
+
+/**
+ * Compiles an HTTP pattern such as `users/:id<int>/posts/:page?` into a RegExp.
+ * @param pattern - Route pattern, relative to the parent route
+ * @param builder - Builder holding the parent route's parts
+ * @param options - `caseSensitive: false` compiles a case-insensitive RegExp
+ */
+export function compileHttpPattern(
+  pattern: string,
+  builder: RegExpPatternBuilder,
+  options?: Pick<HTTPRouterOptions, "caseSensitive">
+): RegExp;
+
+/** Selects the most specific HTTP route: `exact > constrained param > param > wildcard > deep wildcard` */
+export function selectMostSpecificRoute<P>(matched: IBaseRoute<P>[]): IBaseRoute<P>;
+
+/**
+ * Compiles a WebSocket event pattern such as `chat:*:message`, `room:{id<int>}:message` or `room:**` into a RegExp.
+ * @throws {Error} If a param is invalid or uses an unknown type
+ */
+export function compileWsPattern(pattern: string, builder: RegExpPatternBuilder): RegExp;
+
+/** Selects the most specific WebSocket route: `exact > constrained param > param > wildcard > deep wildcard` */
+export function selectMostSpecificWsRoute<P>(matched: IBaseRoute<P>[]): IBaseRoute<P>;
+
+/**
+ * Options accepted by `CommandRouter` in addition to the router options.
+ * @template R - Route type
+ */
+export type CommandRouterOptions<R> = Omit<RouterOptions, "separator"> & {
+  /** Username of the bot. Commands addressed to another bot (`/start@OtherBot`) are ignored */
+  botName?: string;
+  /** Route selected for commands no route matches, including commands with invalid arguments */
+  fallback?: R;
+};
+
+/**
+ * Result of matching a chat message against a `CommandRouter`.
+ * @template R - Route type
+ */
+export type CommandMatchResult<R> = FlatMatchResult<GrammarRoutes<R, "command">, "command"> & {
+  /** Command name without slash and bot suffix, lowercased, with aliases resolved */
+  command: string;
+  /** Raw arguments following the command, with quotes removed */
+  args: string[];
+  /** Present when the fallback route was selected */
+  fallback?: true;
+};
+
+/**
+ * Chat bot command router for messages such as `/ban @user 7d "spam"`.
+ * Patterns start with the command and its `|`-separated aliases, followed by space-separated
+ * literal words and `{name}`, `{name<type>}`, `{name(regex)}` or optional `{name?}` arguments.
+ * @template R - Route type extending IBaseRoute<string>
+ */
+export class CommandRouter<R extends IBaseRoute<string> = IBaseRoute<string>> extends Router<
+  R,
+  CommandMatchResult<R>,
+  "command"
+> {
+  /**
+   * Creates a command router instance.
+   * @param routes - Route definitions
+   * @throws {Error} If duplicate routes, names or conflicting aliases are detected
    */
   constructor(...routes: R[]);
+  /**
+   * Creates a command router instance with options.
+   * @param options - Router options; `separator` is fixed by the router
+   * @param routes - Route definitions
+   * @throws {Error} If duplicate routes, names or conflicting aliases are detected
+   */
+  constructor(options: CommandRouterOptions<R>, ...routes: R[]);
+  /**
+   * Matches a chat message. Returns `undefined` for messages that are not commands
+   * or are addressed to another bot, and the fallback route for unknown commands.
+   */
+  match(text: string, options?: MatchOptions<R>): CommandMatchResult<R> | undefined;
+  /** Returns every matching route, most specific first; the fallback route is never included */
+  resolveAll(text: string, options?: MatchOptions<R>): CommandMatchResult<R>[];
 }
+
+/**
+ * Compiles a command pattern such as `/ban|b {user<mention>} {duration<duration>} {reason?}` into a RegExp.
+ * Besides the param types, arguments accept `mention` (`@name`, parsed to `name`) and
+ * `duration` (`30s`, `5m`, `2h`, `7d`, `1w`, parsed to milliseconds).
+ * @throws {Error} If the command or an argument is invalid
+ */
+export function compileCommandPattern(pattern: string, builder: RegExpPatternBuilder): RegExp;
+
+/** Selects the most specific command route: `literal word > constrained argument > argument > optional argument` */
+export function selectMostSpecificCommand<P>(matched: IBaseRoute<P>[]): IBaseRoute<P>;
+
+/**
+ * Request passed to route handlers by `createRequestListener`.
+ */
+export type RoutedRequest = IncomingMessage & {
+  params: Record<string, any>;
+  query: Record<string, string | string[]>;
+  wildcards: string[];
+};
+
+/**
+ * Options accepted by `createRequestListener`.
+ */
+export type RequestListenerOptions = {
+  /** Handles requests no route matches. Responds `404 Not Found` by default */
+  notFound?: (req: IncomingMessage, res: ServerResponse) => unknown;
+  /**
+   * Handles errors thrown by handlers. Responds `500 Internal Server Error` by default,
+   * and also when the handler itself throws or rejects
+   */
+  onError?: (error: unknown, req: IncomingMessage, res: ServerResponse) => unknown;
+};
+
+/**
+ * Creates a listener for `http.createServer` that dispatches requests to the `get`, `post`, ... handlers
+ * of the matched route. Values returned by a handler are sent as text, binary or JSON; handlers may also
+ * write the response themselves. Responds 404, 405 (with `Allow`), 204 for OPTIONS, 308 for redirect
+ * policies and 500 for errors.
+ * @param router - The HTTP router
+ * @param options - Listener options
+ * @returns The request listener
+ */
+export function createRequestListener<R extends IBaseRoute<string>>(
+  router: HTTPRouter<R>,
+  options?: RequestListenerOptions
+): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
+/**
+ * Socket-like object accepted by the WebSocket dispatcher, e.g. a `ws` WebSocket.
+ */
+export type DispatcherSocket = {
+  on(event: "message", listener: (raw: string | ArrayBuffer | Uint8Array) => void): unknown;
+  off(event: "message", listener: (raw: string | ArrayBuffer | Uint8Array) => void): unknown;
+  send(message: string): unknown;
+};
+
+/**
+ * Reply sent by the WebSocket dispatcher: an ack for messages with an `id`, or an error.
+ */
+export type DispatcherReply =
+  | { id: string | number; ok: true; data?: unknown }
+  | {
+      id?: string | number;
+      event?: string;
+      ok: false;
+      error: { code: "INVALID_MESSAGE" | "UNKNOWN_EVENT" | "HANDLER_ERROR"; message: string };
+    };
+
+/**
+ * Options accepted by `createWsDispatcher`.
+ */
+export type WsDispatcherOptions = {
+  /**
+   * Receives handler and send errors; the client only gets a generic `HANDLER_ERROR` reply.
+   * Errors thrown or rejected by the callback are ignored.
+   */
+  onError?: (error: unknown, socket: DispatcherSocket, envelope: { event: string; data?: unknown } | null) => void;
+};
+
+/**
+ * Dispatches `{ event, data, id? }` JSON messages to the `message(socket, data, params, result)` handler
+ * of the matched route. Messages with an `id` are acknowledged with the handler's return value.
+ */
+export type WsDispatcher = {
+  /**
+   * Dispatches every message the socket emits.
+   * @returns A function that detaches the dispatcher from the socket
+   */
+  attach(socket: DispatcherSocket): () => void;
+  /** Dispatches a single raw message and resolves once the handler finished and the reply was sent */
+  dispatch(socket: DispatcherSocket, raw: string | ArrayBuffer | Uint8Array): Promise<void>;
+};
+
+/**
+ * Creates a transport-agnostic dispatcher for WebSocket messages.
+ * @param router - Router resolving event names
+ * @param options - Dispatcher options
+ * @returns The dispatcher
+ */
+export function createWsDispatcher<R extends IBaseRoute<string>>(
+  router: Router<R, any, any>,
+  options?: WsDispatcherOptions
+): WsDispatcher;
+
+/**
+ * OpenAPI operation fields read from a route's own `meta.openapi`, e.g. `summary`, `tags` or `responses`.
+ * Fields under a method key such as `get` only apply to that operation.
+ */
+export type OpenAPIRouteMetadata = Record<string, unknown> & {
+  /** JSON schemas merged over the schemas inferred from the param types, inherited by child routes */
+  params?: Record<string, Record<string, unknown>>;
+};
+
+/**
+ * Options accepted by `toOpenAPI`.
+ */
+export type OpenAPIOptions = {
+  /** Document `info`. Defaults to `{ title: "API", version: "1.0.0" }` */
+  info?: Record<string, unknown>;
+  /** Document `servers` */
+  servers?: Record<string, unknown>[];
+  /**
+   * `"skip"` reports wildcard routes as unsupported, `"param"` documents `*` and `**` as
+   * `wildcard0`, `wildcard1`, ... path params. Defaults to `"skip"`.
+   */
+  wildcards?: "skip" | "param";
+};
+
+/**
+ * Plain JSON OpenAPI 3.1 document generated by `toOpenAPI`.
+ */
+export type OpenAPIDocument = {
+  openapi: string;
+  info: Record<string, unknown>;
+  servers?: Record<string, unknown>[];
+  paths: Record<string, Record<string, Record<string, unknown>>>;
+  /** Routes that could not be described, such as wildcard or host-bound routes */
+  "x-unsupported"?: { pattern: string; host?: string; reason: string }[];
+};
+
+/**
+ * Generates an OpenAPI document with one operation per method handler of every route.
+ * Optional segments are expanded into separate paths.
+ * @param router - The HTTP router
+ * @param options - Document options
+ * @returns The document
+ * @throws {Error} If the router is not an `HTTPRouter` or the `wildcards` option is invalid
+ */
+export function toOpenAPI<R extends IBaseRoute<string>>(
+  router: HTTPRouter<R>,
+  options?: OpenAPIOptions
+): OpenAPIDocument;
@@ -2,20 +2,32 @@ const {
   Router,
   WSRouter,
   HTTPRouter,
+  CommandRouter,
   RegExpPatternBuilder,
   compileHttpPattern,
   selectMostSpecificRoute,
   compileWsPattern,
   selectMostSpecificWsRoute,
+  compileCommandPattern,
+  selectMostSpecificCommand,
 } = require("./lib/router");
+const { createRequestListener } = require("./lib/http-listener");
+const { createWsDispatcher } = require("./lib/ws-dispatcher");
+const { toOpenAPI } = require("./lib/openapi");
 
 module.exports = {
   Router,
   WSRouter,
   HTTPRouter,
+  CommandRouter,
   RegExpPatternBuilder,
   compileHttpPattern,
   selectMostSpecificRoute,
   compileWsPattern,
   selectMostSpecificWsRoute,
+  compileCommandPattern,
+  selectMostSpecificCommand,
+  createRequestListener,
+  createWsDispatcher,
+  toOpenAPI,
 };
@@ -0,0 +1,119 @@
+import { CommandRouter, HTTPParams, HTTPRouter, WSParams, WSRouter } from ".";
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2 ? true : false;
+type Expect<T extends true> = T;
+
+type Checks = [
+  Expect<Equal<HTTPParams<"users/:id">, { id: string }>>,
+  Expect<Equal<HTTPParams<"users/:id<int>/posts/:page?">, { id: number; page?: string | undefined }>>,
+  Expect<Equal<HTTPParams<"files/:size<number>/:name">, { size: number; name: string }>>,
+  Expect<
+    Equal<HTTPParams<"posts{/:year(\\d{4})/:month<int>}">, { year?: string | undefined; month?: number | undefined }>
+  >,
+  Expect<Equal<HTTPParams<"users/{:id}">, { id?: string | undefined }>>,
+  Expect<Equal<HTTPParams<"codes/:code([A-Z]{3})">, { code: string }>>,
+  Expect<Equal<HTTPParams<"docs/*/**">, {}>>,
+  Expect<Equal<HTTPParams<string>, Record<string, any>>>,
+  Expect<Equal<WSParams<"room:{id<int>}:message">, { id: number }>>,
+  Expect<Equal<WSParams<"user:{name?}">, { name?: string | undefined }>>,
+];
+
+const router = new HTTPRouter(
+  {
+    pattern: "users/:id<int>",
+    name: "user",
+    host: "{tenant}.example.com",
+    get() {},
+    children: [
+      { pattern: "posts/:page?", name: "posts", children: [{ pattern: ":slug{/:format}", name: "post" }] },
+    ],
+  } as const,
+  { pattern: "health", name: "health" } as const
+);
+
+const result = router.match("/users/1/posts", { host: "acme.example.com" });
+if (result?.name === "posts") {
+  const params: { id: number; tenant: string; page?: string } = result.params;
+  const id: number = result.params.id;
+  // @ts-expect-error params of other routes are not declared
+  result.params.userId;
+  // @ts-expect-error optional params may be undefined
+  const page: string = result.params.page;
+}
+if (result?.name === "post") {
+  const params: { id: number; tenant: string; page?: string; slug: string; format?: string } = result.params;
+  // @ts-expect-error `{...}` group params may be undefined
+  const format: string = result.params.format;
+}
+if (result?.name === "health") {
+  // @ts-expect-error host params belong to host-bound routes only
+  result.params.tenant;
+}
+for (const item of router.resolveAll("/users/1")) {
+  if (item.name === "user") {
+    // @ts-expect-error `<int>` params are numbers
+    const id: string = item.params.id;
+  }
+}
+
+router.build("posts", { id: 1, tenant: "acme" });
+router.build("posts", { id: 1, tenant: "acme", page: 2 });
+router.build("post", { id: 1, tenant: "acme", slug: "hello" });
+router.build("health");
+router.build("health", {});
+// @ts-expect-error `<int>` params must be numbers
+router.build("user", { id: "1", tenant: "acme" });
+// @ts-expect-error required params cannot be omitted
+router.build("posts");
+// @ts-expect-error host params are required
+router.build("user", { id: 1 });
+// @ts-expect-error nested routes require the params of their parents
+router.build("post", { slug: "hello", tenant: "acme" });
+// @ts-expect-error unknown route names are rejected
+router.build("missing");
+
+class OrderRoute {
+  readonly pattern = "orders/:orderId<int>";
+  get() {}
+}
+
+class LooseRoute {
+  pattern = "loose/:id";
+  get() {}
+}
+
+const order = new OrderRoute();
+const orders = new HTTPRouter(order);
+orders.build(order, { orderId: 1 });
+// @ts-expect-error `<int>` params must be numbers
+orders.build(order, { orderId: "1" });
+
+const loose = new HTTPRouter(new LooseRoute());
+const looseParams: Record<string, any> | undefined = loose.match("/loose/1")?.params;
+loose.build(new LooseRoute(), { anything: 1 });
+
+const ws = new WSRouter({
+  pattern: "room:{id<int>}",
+  name: "room",
+  children: [{ pattern: ":{event}", name: "event" }],
+} as const);
+const event = ws.match("room:1:join");
+if (event?.name === "event") {
+  const params: { id: number; event: string } = event.params;
+}
+ws.build("event", { id: 1, event: "join" });
+// @ts-expect-error nested routes require the params of their parents
+ws.build("event", { event: "join" });
+
+const commands = new CommandRouter({ pattern: "/ban {user} {duration<duration>} {reason?}", name: "ban" } as const);
+const ban = commands.match("/ban @a 1h");
+if (ban?.name === "ban") {
+  const params: { user: string; duration: number; reason?: string } = ban.params;
+  // @ts-expect-error `<duration>` params are numbers
+  const duration: string = ban.params.duration;
+}
+commands.build("ban", { user: "a", duration: 60 });
+// @ts-expect-error required params cannot be omitted
+commands.build("ban", { user: "a" });
+
+export type { Checks };
@@ -0,0 +1,53 @@
+const { STATUS_CODES } = require("http");
+
+function createRequestListener(router, options = {}) {
+  const onError = options.onError || sendError;
+  return async (req, res) => {
+    try {
+      const result = router.match(req.url, { method: req.method, host: req.headers.host });
+      if (!result) return await (options.notFound ? options.notFound(req, res) : sendStatus(res, 404));
+      if (result.redirect !== undefined) return sendStatus(res, 308, { Location: result.redirect });
+      if (result.methodNotAllowed) return sendStatus(res, 405, { Allow: result.allow.join(", ") });
+      if (result.handler === undefined) return sendStatus(res, 204, { Allow: result.allow.join(", ") });
+      req.params = result.params;
+      req.query = result.query;
+      req.wildcards = result.wildcards;
+      const value = await result.route[result.handler](req, res);
+      if (value !== undefined && !res.headersSent) sendValue(res, value);
+    } catch (error) {
+      await Promise.resolve()
+        .then(() => onError(error, req, res))
+        .catch((handlerError) => sendError(handlerError, req, res));
+    }
+  };
+}
+
+function sendError(error, req, res) {
+  if (res.headersSent) res.destroy(error);
+  else sendStatus(res, 500);
+}
+
+function sendStatus(res, status, headers = {}) {
+  if (status === 204) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  const body = STATUS_CODES[status];
+  res.writeHead(status, { ...headers, "Content-Type": "text/plain; charset=utf-8" });
+  res.end(body);
+}
+
+function sendValue(res, value) {
+  const [type, body] =
+    typeof value === "string"
+      ? ["text/plain; charset=utf-8", value]
+      : Buffer.isBuffer(value)
+      ? ["application/octet-stream", value]
+      : ["application/json; charset=utf-8", JSON.stringify(value)];
+  if (!res.hasHeader("Content-Type")) res.setHeader("Content-Type", type);
+  res.setHeader("Content-Length", Buffer.byteLength(body));
+  res.end(body);
+}
+
+module.exports = { createRequestListener };
@@ -0,0 +1,106 @@
+const {
+  HTTPRouter,
+  RegExpPatternBuilder,
+  compileHttpPattern,
+  SEGMENT,
+  MAX_TRIE_VARIANTS,
+  expandOptionalTokens,
+} = require("./router");
+
+const OPENAPI_VERSION = "3.1.0";
+
+const OPENAPI_METHODS = ["get", "put", "post", "delete", "options", "head", "patch"];
+
+const WILDCARD_DESCRIPTIONS = {
+  wildcard: "Matches a single path segment",
+  deepWildcard: "Matches one or more path segments, including slashes",
+};
+
+function toOpenAPI(router, options = {}) {
+  if (!(router instanceof HTTPRouter)) throw new Error(`toOpenAPI requires an HTTPRouter`);
+  const wildcards = options.wildcards ?? "skip";
+  if (wildcards !== "skip" && wildcards !== "param") {
+    throw new Error(`Invalid wildcards option "${wildcards}", expected one of: skip, param`);
+  }
+  const paths = {};
+  const templates = new Map();
+  const unsupported = [];
+  for (const { route, host, pattern, parents } of router.routes()) {
+    const methods = OPENAPI_METHODS.filter((method) => typeof route[method] === "function");
+    if (methods.length === 0) continue;
+    const report = (reason) => unsupported.push({ pattern, ...(host !== undefined && { host }), reason });
+    if (host !== undefined) {
+      report("host-bound routes cannot be described by OpenAPI paths");
+      continue;
+    }
+    const metadata = route.meta?.openapi;
+    const schemas = Object.assign({}, ...[...parents, route].map((item) => item.meta?.openapi?.params));
+    const builder = new RegExpPatternBuilder();
+    compileHttpPattern(pattern, builder);
+    const variants = expandOptionalTokens(builder.tokens);
+    if (variants.length > MAX_TRIE_VARIANTS) {
+      report(`optional segments expand to more than ${MAX_TRIE_VARIANTS} paths`);
+      continue;
+    }
+    for (const tokens of variants) {
+      if (wildcards === "skip" && tokens.some(({ type }) => type in WILDCARD_DESCRIPTIONS)) {
+        report("wildcards cannot be described by OpenAPI path templates");
+        break;
+      }
+      const { path, parameters } = describePath(tokens, schemas);
+      const template = path.replace(/\{[^}]*\}/g, "{}");
+      if (templates.has(template) && templates.get(template) !== path) {
+        report(`path "${path}" conflicts with "${templates.get(template)}"`);
+        continue;
+      }
+      templates.set(template, path);
+      if (!paths[path]) paths[path] = {};
+      const item = paths[path];
+      for (const method of methods) {
+        if (item[method]) report(`operation "${method.toUpperCase()} ${path}" is already defined`);
+        else item[method] = describeOperation(metadata, method, parameters);
+      }
+    }
+  }
+  return {
+    openapi: OPENAPI_VERSION,
+    info: { title: "API", version: "1.0.0", ...options.info },
+    ...(options.servers && { servers: options.servers }),
+    paths,
+    ...(unsupported.length > 0 && { "x-unsupported": unsupported }),
+  };
+}
+
+function describePath(tokens, schemas) {
+  let path = "";
+  let wildcardIndex = 0;
+  const parameters = [];
+  for (const token of tokens) {
+    if (token.type === "exact") {
+      path += token.value;
+      continue;
+    }
+    const name = token.type === "param" ? token.name : `wildcard${wildcardIndex++}`;
+    const description = WILDCARD_DESCRIPTIONS[token.type];
+    const schema = { ...inferSchema(token), ...schemas[name] };
+    parameters.push({ name, in: "path", required: true, ...(description && { description }), schema });
+    path += `{${name}}`;
+  }
+  return { path, parameters };
+}
+
+function inferSchema(token) {
+  if (token.type !== "param") return { type: "string" };
+  if (token.parse === Number) return { type: token.constraint === "-?\\d+" ? "integer" : "number" };
+  if (token.constraint === SEGMENT) return { type: "string" };
+  return { type: "string", pattern: `^(?:${token.constraint})$` };
+}
+
+function describeOperation(metadata = {}, method, parameters) {
+  const { params, ...shared } = metadata;
+  for (const name of OPENAPI_METHODS) delete shared[name];
+  const operation = { ...shared, ...metadata[method], ...(parameters.length > 0 && { parameters }) };
+  return JSON.parse(JSON.stringify(operation));
+}
+
+module.exports = { toOpenAPI };
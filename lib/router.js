@@ -1,128 +1,1532 @@
+const SEGMENT = "[^/?#]+";
+
 class RegExpPatternBuilder {
   constructor() {
     this.parts = [];
+    this.tokens = [];
+    this.wildcards = 0;
   }
 
   exact(str) {
     const escaped = str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
     this.parts.push(escaped);
+    this.tokens.push({ type: "exact", value: str });
     return this;
   }
 
-  param(name, constraint) {
-    const pattern = constraint || "[^/?#]+";
+  param(name, constraint, parse) {
+    if (!PARAM_NAME.test(name)) throw new Error(`Invalid param name "${name}": it must be a valid regex group name`);
+    const pattern = constraint || SEGMENT;
+    assertConstraint(pattern);
     this.parts.push(`(?<${name}>${pattern})`);
+    const token = { type: "param", name, constraint: pattern };
+    this.tokens.push(parse ? { ...token, parse } : token);
     return this;
   }
 
-  wildcard() {
-    this.parts.push(`[^/?#]+`);
+  wildcard(constraint) {
+    const pattern = constraint || SEGMENT;
+    assertConstraint(pattern);
+    this.parts.push(`(?<$${this.wildcards++}>${pattern})`);
+    this.tokens.push({ type: "wildcard", constraint: pattern });
     return this;
   }
 
   deepWildcard() {
-    this.parts.push(`.+?`);
+    this.parts.push(`(?<$${this.wildcards++}>.+?)`);
+    this.tokens.push({ type: "deepWildcard", constraint: ".+?" });
+    return this;
+  }
+
+  optional(callback) {
+    const inner = new RegExpPatternBuilder();
+    inner.wildcards = this.wildcards;
+    callback(inner);
+    this.parts.push(`(?:${inner.parts.join("")})?`);
+    this.tokens.push({ type: "optional", tokens: inner.tokens });
+    this.wildcards = inner.wildcards;
     return this;
   }
 
   concat(other) {
-    this.parts.push(...other.parts);
+    const offset = this.wildcards;
+    for (const part of other.parts) {
+      this.parts.push(part.replace(/\(\?<\$(\d+)>/g, (_, index) => `(?<$${offset + Number(index)}>`));
+    }
+    this.tokens.push(...other.tokens);
+    this.wildcards += other.wildcards;
     return this;
   }
 
-  build() {
+  build(flags) {
+    const names = paramNames(this.tokens);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate !== undefined) throw new Error(`Duplicate param name "${duplicate}"`);
     const pattern = "^" + this.parts.join("") + "$";
-    return new RegExp(pattern);
+    return new RegExp(pattern, flags);
+  }
+}
+
+const PARAM_NAME = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+
+function assertConstraint(constraint) {
+  try {
+    new RegExp(constraint);
+  } catch {
+    throw new Error(`Invalid constraint /${constraint}/: it is not a valid regular expression`);
+  }
+  const nodes = parseConstraint(constraint);
+  const invalid = findConstraintNode(nodes, (node) => node.type in INVALID_CONSTRAINT_NODES);
+  if (invalid) {
+    throw new Error(`Invalid constraint /${constraint}/: ${INVALID_CONSTRAINT_NODES[invalid.type]} are not allowed`);
+  }
+  const nested = findConstraintNode(nodes, (node) => isNestedRepetition(node));
+  if (nested) {
+    const reason = `nested quantifiers in "${nested.source}" can backtrack catastrophically`;
+    throw new Error(`Unsafe constraint /${constraint}/: ${reason}`);
+  }
+  const ambiguous = findConstraintNode(nodes, (node) => repeats(node) && hasOverlappingAlternatives(node));
+  if (ambiguous) {
+    const reason = `overlapping alternatives in "${ambiguous.source}" can backtrack catastrophically`;
+    throw new Error(`Unsafe constraint /${constraint}/: ${reason}`);
+  }
+}
+
+function assertSafeConstraint(constraint) {
+  const nodes = parseConstraint(constraint);
+  const unsafe = findConstraintNode(nodes, (node) => {
+    if (!SAFE_CONSTRAINT_NODES.includes(node.type)) return true;
+    if (node.type === "group" && repeats(node) && node.alternatives.length > 1) return true;
+    const { min = 0, max = 0 } = node.quantifier || {};
+    return Math.max(min, max === Infinity ? 0 : max) > MAX_SAFE_REPEAT;
+  });
+  if (unsafe) {
+    throw new Error(`Constraint /${constraint}/ is outside the safe subset: "${unsafe.source}" is not allowed`);
+  }
+  const adjacent = findAdjacentRepetitions(nodes);
+  if (adjacent) {
+    const reason = `"${adjacent[0].source}" and "${adjacent[1].source}" can match the same characters`;
+    throw new Error(`Constraint /${constraint}/ is outside the safe subset: ${reason}`);
+  }
+}
+
+function assertSafeTokens(tokens) {
+  const flat = flattenTokens(tokens);
+  for (const token of flat) {
+    if (token.type === "param" || token.type === "wildcard") assertSafeConstraint(token.constraint);
+  }
+  if (flat.filter((token) => token.type === "deepWildcard").length > 1) {
+    throw new Error(`Only one deep wildcard is allowed per route in safe mode`);
+  }
+}
+
+function flattenTokens(tokens) {
+  return tokens.flatMap((token) => (token.type === "optional" ? flattenTokens(token.tokens) : [token]));
+}
+
+function replayTokens(tokens, builder) {
+  for (const token of tokens) {
+    if (token.type === "exact") builder.exact(token.value);
+    else if (token.type === "param") builder.param(token.name, token.constraint, token.parse);
+    else if (token.type === "wildcard") builder.wildcard(token.constraint);
+    else if (token.type === "deepWildcard") builder.deepWildcard();
+    else builder.optional((inner) => replayTokens(token.tokens, inner));
+  }
+  return builder;
+}
+
+function concatBuilders(prefix, builder) {
+  return new RegExpPatternBuilder().concat(prefix).concat(builder);
+}
+
+function paramNames(tokens) {
+  return flattenTokens(tokens)
+    .filter((token) => token.type === "param")
+    .map((token) => token.name);
+}
+
+const INVALID_CONSTRAINT_NODES = { backreference: "backreferences", named: "named groups" };
+
+const SAFE_CONSTRAINT_NODES = ["literal", "set", "group"];
+
+const MAX_SAFE_REPEAT = 1000;
+
+function parseConstraint(source) {
+  const state = { source, index: 0 };
+  return parseConstraintAlternatives(state);
+}
+
+function parseConstraintAlternatives(state) {
+  const alternatives = [[]];
+  while (state.index < state.source.length && state.source[state.index] !== ")") {
+    if (state.source[state.index] === "|") {
+      alternatives.push([]);
+      state.index++;
+      continue;
+    }
+    const start = state.index;
+    const node = parseConstraintAtom(state);
+    node.quantifier = parseConstraintQuantifier(state);
+    node.source = state.source.slice(start, state.index);
+    alternatives[alternatives.length - 1].push(node);
+  }
+  return alternatives;
+}
+
+function parseConstraintAtom(state) {
+  const { source } = state;
+  const char = source[state.index++];
+  if (char === "\\") {
+    const next = source[state.index++];
+    if (/[1-9]/.test(next) || next === "k") return { type: "backreference" };
+    if (/[dDwWsS]/.test(next)) return { type: "set", pattern: `\\${next}` };
+    if (/[bB]/.test(next)) return { type: "anchor" };
+    if (/\W/.test(next)) return { type: "literal", value: next };
+    return { type: "escape" };
+  }
+  if (char === "[") {
+    const start = state.index - 1;
+    while (state.index < source.length && source[state.index] !== "]") {
+      state.index += source[state.index] === "\\" ? 2 : 1;
+    }
+    state.index++;
+    return { type: "set", pattern: source.slice(start, state.index) };
+  }
+  if (char === "(") {
+    const prefix = /^\?(?::|<?[=!]|<[^>]*>)/.exec(source.slice(state.index))?.[0] || "";
+    state.index += prefix.length;
+    const type = prefix === "" || prefix === "?:" ? "group" : /[=!]/.test(prefix) ? "lookaround" : "named";
+    const alternatives = parseConstraintAlternatives(state);
+    state.index++;
+    return { type, alternatives };
+  }
+  if (char === "^" || char === "$") return { type: "anchor" };
+  if (char === ".") return { type: "any" };
+  return { type: "literal", value: char };
+}
+
+function parseConstraintQuantifier(state) {
+  const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(state.source.slice(state.index));
+  if (!match) return null;
+  state.index += match[0].length;
+  const [, symbol, min, range, max] = match;
+  if (symbol) return { min: symbol === "+" ? 1 : 0, max: symbol === "?" ? 1 : Infinity };
+  return { min: Number(min), max: range === undefined ? Number(min) : max === "" ? Infinity : Number(max) };
+}
+
+function findConstraintNode(alternatives, predicate) {
+  for (const nodes of alternatives) {
+    for (const node of nodes) {
+      if (predicate(node)) return node;
+      const found = node.alternatives && findConstraintNode(node.alternatives, predicate);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function repeats(node) {
+  return Boolean(node.quantifier) && node.quantifier.max > 1;
+}
+
+function isNestedRepetition(node) {
+  if (!node.alternatives || !repeats(node)) return false;
+  if (!findConstraintNode(node.alternatives, repeats)) return false;
+  if (node.alternatives.length !== 1) return true;
+  const [nodes] = node.alternatives;
+  return !delimits(nodes[0], nodes.slice(1)) && !delimits(nodes[nodes.length - 1], nodes.slice(0, -1));
+}
+
+function delimits(delimiter, rest) {
+  if (delimiter.type !== "literal" || delimiter.quantifier) return false;
+  return !findConstraintNode([rest], (item) => repeats(item) && canMatchChar(item, delimiter.value));
+}
+
+function hasOverlappingAlternatives(node) {
+  if (!node.alternatives) return false;
+  const { alternatives } = node;
+  const overlapping = alternatives.some((nodes, index) =>
+    alternatives.slice(index + 1).some((other) => overlaps(nodes, other))
+  );
+  return overlapping || alternatives.some((nodes) => nodes.some(hasOverlappingAlternatives));
+}
+
+const MAX_OVERLAP_STATES = 500;
+
+function overlaps(first, second) {
+  const start = [[toSequence(first)], [toSequence(second)]];
+  const pending = [start];
+  const seen = new Set([stateKey(start)]);
+  while (pending.length > 0) {
+    const [left, right] = pending.pop();
+    if (left.some(isNullable) || right.some(isNullable)) return true;
+    for (const char of SAMPLE_CHARS) {
+      const next = [left, right].map((sequences) => uniqueSequences(sequences.flatMap((item) => derive(item, char))));
+      const key = stateKey(next);
+      if (next[0].length === 0 || next[1].length === 0 || seen.has(key)) continue;
+      if (seen.size === MAX_OVERLAP_STATES) return true;
+      seen.add(key);
+      pending.push(next);
+    }
+  }
+  return false;
+}
+
+function toSequence(nodes) {
+  return nodes.map((node) => {
+    if (node.type === "anchor" || node.type === "lookaround") return { node, min: 0, max: 0 };
+    const { min, max } = node.quantifier || { min: 1, max: 1 };
+    return { node, min, max };
+  });
+}
+
+function derive(sequence, char) {
+  if (sequence.length === 0) return [];
+  const [{ node, min, max }, ...rest] = sequence;
+  const derived = [];
+  if (max > 0) {
+    const again = max > 1 ? [{ node, min: Math.max(min - 1, 0), max: max - 1 }] : [];
+    if (node.alternatives) {
+      for (const nodes of node.alternatives) {
+        for (const inner of derive(toSequence(nodes), char)) derived.push([...inner, ...again, ...rest]);
+      }
+    } else if (canMatchChar(node, char)) derived.push([...again, ...rest]);
+  }
+  if (isNullable([{ node, min }])) derived.push(...derive(rest, char));
+  return derived;
+}
+
+function isNullable(sequence) {
+  return sequence.every(({ node, min }) => {
+    if (min === 0) return true;
+    return Boolean(node.alternatives) && node.alternatives.some((nodes) => isNullable(toSequence(nodes)));
+  });
+}
+
+function sequenceKey(sequence) {
+  return sequence.map(({ node, min, max }) => `${node.source}{${min},${max}}`).join("");
+}
+
+function uniqueSequences(sequences) {
+  const keys = sequences.map(sequenceKey);
+  return sequences.filter((_, index) => keys.indexOf(keys[index]) === index);
+}
+
+function stateKey(state) {
+  return state.map((sequences) => sequences.map(sequenceKey).sort().join("|")).join("/");
+}
+
+function findAdjacentRepetitions(alternatives) {
+  for (const nodes of alternatives) {
+    for (let i = 0; i < nodes.length; i++) {
+      if (!isUnbounded(nodes[i])) continue;
+      for (let j = i + 1; j < nodes.length; j++) {
+        const overlapping = SAMPLE_CHARS.some((char) => canMatchChar(nodes[i], char) && canStartWith([nodes[j]], char));
+        if (overlapping && isUnbounded(nodes[j])) return [nodes[i], nodes[j]];
+        if (!overlapping && !canBeEmpty(nodes[j])) break;
+      }
+    }
+    for (const node of nodes) {
+      const found = node.alternatives && findAdjacentRepetitions(node.alternatives);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function isUnbounded(node) {
+  return Boolean(node.quantifier) && node.quantifier.max === Infinity;
+}
+
+function canBeEmpty(node) {
+  if ((node.quantifier && node.quantifier.min === 0) || node.type === "anchor" || node.type === "lookaround") {
+    return true;
+  }
+  return Boolean(node.alternatives) && node.alternatives.some((nodes) => nodes.every(canBeEmpty));
+}
+
+function canStartWith(nodes, char) {
+  for (const node of nodes) {
+    const matches = node.alternatives
+      ? node.alternatives.some((inner) => canStartWith(inner, char))
+      : canMatchChar(node, char);
+    if (matches) return true;
+    if (!canBeEmpty(node)) return false;
+  }
+  return false;
+}
+
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+  "\t",
+  "\n",
+  "\u00a0",
+  "é",
+  "ß",
+  "中",
+];
+
+function canMatchChar(node, char) {
+  if (node.type === "literal") return node.value === char;
+  if (node.type === "set") return new RegExp(`^${node.pattern}$`).test(char);
+  if (node.alternatives) return Boolean(findConstraintNode(node.alternatives, (item) => canMatchChar(item, char)));
+  return node.type === "any" || node.type === "escape";
+}
+
+class SegmentTrie {
+  constructor(separator) {
+    this.separator = separator;
+    this.root = createTrieNode();
+    this.unindexed = new Set();
+    this.ignoreCase = false;
+  }
+
+  insert(entry) {
+    this.#update(entry, (entries) => entries.add(entry));
+  }
+
+  remove(entry) {
+    this.#update(entry, (entries) => entries.delete(entry));
+  }
+
+  #update(entry, apply) {
+    const ignoreCase = entry.regex.flags.includes("i");
+    const variants = expandOptionalTokens(entry.tokens);
+    if (variants.length > MAX_TRIE_VARIANTS) apply(this.unindexed);
+    else for (const variant of variants) apply(this.#locate(variant, ignoreCase));
+  }
+
+  #locate(tokens, ignoreCase) {
+    const segments = splitTokenSegments(tokens, this.separator);
+    if (ignoreCase && segments?.some(({ type, value }) => type === "static" && /[^\x00-\x7f]/.test(value))) {
+      return this.unindexed;
+    }
+    if (ignoreCase) this.ignoreCase = true;
+    if (!segments) return this.unindexed;
+    let node = this.root;
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment.type === "deepWildcard") return i < segments.length - 1 ? this.unindexed : node.deep;
+      if (segment.type === "static") {
+        const key = ignoreCase ? segment.value.toLowerCase() : segment.value;
+        if (!node.static.has(key)) node.static.set(key, createTrieNode());
+        node = node.static.get(key);
+      } else node = node[segment.type] || (node[segment.type] = createTrieNode());
+    }
+    return node.routes;
+  }
+
+  lookup(path) {
+    const found = [...this.unindexed];
+    collectTrieRoutes(this.root, path.split(this.separator), 0, found, this.ignoreCase);
+    return [...new Set(found)].sort((a, b) => a.order - b.order);
+  }
+}
+
+const MAX_TRIE_VARIANTS = 16;
+
+function expandOptionalTokens(tokens) {
+  let variants = [[]];
+  for (const token of tokens) {
+    if (token.type !== "optional") {
+      for (const variant of variants) variant.push(token);
+      continue;
+    }
+    const expansions = expandOptionalTokens(token.tokens);
+    const next = [];
+    for (const variant of variants) {
+      next.push(variant);
+      for (const expansion of expansions) next.push([...variant, ...expansion]);
+    }
+    variants = next;
+    if (variants.length > MAX_TRIE_VARIANTS) break;
+  }
+  return variants;
+}
+
+function createTrieNode() {
+  return { static: new Map(), param: null, wildcard: null, deep: new Set(), routes: new Set() };
+}
+
+function collectTrieRoutes(node, segments, depth, found, ignoreCase) {
+  if (depth === segments.length) {
+    found.push(...node.routes);
+    return;
   }
+  const segment = segments[depth];
+  const next = node.static.get(segment);
+  if (next) collectTrieRoutes(next, segments, depth + 1, found, ignoreCase);
+  const folded = ignoreCase ? segment.toLowerCase() : segment;
+  const foldedNext = folded !== segment && node.static.get(folded);
+  if (foldedNext) collectTrieRoutes(foldedNext, segments, depth + 1, found, ignoreCase);
+  if (node.param) collectTrieRoutes(node.param, segments, depth + 1, found, ignoreCase);
+  if (node.wildcard) collectTrieRoutes(node.wildcard, segments, depth + 1, found, ignoreCase);
+  found.push(...node.deep);
+}
+
+function splitTokenSegments(tokens, separator) {
+  const segments = [[]];
+  for (const token of tokens) {
+    if (token.type !== "exact") {
+      segments[segments.length - 1].push(token);
+      continue;
+    }
+    const pieces = token.value.split(separator);
+    for (let i = 0; i < pieces.length; i++) {
+      if (i > 0) segments.push([]);
+      if (pieces[i]) segments[segments.length - 1].push({ type: "exact", value: pieces[i] });
+    }
+  }
+  const result = [];
+  for (const items of segments) {
+    if (items.every((item) => item.type === "exact")) {
+      result.push({ type: "static", value: items.map((item) => item.value).join("") });
+    } else if (items.length > 1) return null;
+    else if (items[0].type === "deepWildcard") result.push(items[0]);
+    else if (isSingleSegment(items[0].constraint, separator)) {
+      result.push({ type: items[0].type, constraint: items[0].constraint });
+    }
+    else return null;
+  }
+  return result;
+}
+
+function isSingleSegment(constraint, separator) {
+  const negated = /^\[\^([^\]\\]*)\]\+$/.exec(constraint);
+  if (negated) return negated[1].includes(separator);
+  return /^(?:\\[dw.-]|\[[\w\\-]*\]|[\w\-|(){},+*?])*$/.test(constraint) && !constraint.includes(separator);
+}
+
+const CONSTRAINT_SAMPLES = [
+  "a",
+  "abc",
+  "ABC",
+  "a-b",
+  "a_b",
+  "x.y",
+  "1",
+  "42",
+  "-1",
+  "1.5",
+  "123e4567-e89b-12d3-a456-426614174000",
+];
+
+function analyzeEntry(entry, info, separator) {
+  const variants = expandOptionalTokens(entry.tokens);
+  if (variants.length > MAX_TRIE_VARIANTS) return null;
+  const segments = variants.map((variant) => splitTokenSegments(variant, separator));
+  if (segments.includes(null)) return null;
+  const deep = segments.some((variant) => variant.some((segment) => segment.type === "deepWildcard"));
+  return { entry, info, segments, deep, ignoreCase: entry.regex.flags.includes("i") };
+}
+
+function routesIntersect(a, b, separator) {
+  const context = { separator, ignoreCase: a.ignoreCase || b.ignoreCase };
+  return a.segments.some((left) => b.segments.some((right) => segmentsIntersect(left, right, context, 0, 0)));
+}
+
+function routeCovers(a, b, separator) {
+  const context = { separator, ignoreCase: a.ignoreCase };
+  return b.segments.every((right) => a.segments.some((left) => segmentsCover(left, right, context, 0, 0)));
+}
+
+function segmentsIntersect(a, b, context, i, j) {
+  if (i === a.length || j === b.length) return i === a.length && j === b.length;
+  if (a[i].type === "deepWildcard") return consumeSegments(b, j, (k) => segmentsIntersect(a, b, context, i + 1, k));
+  if (b[j].type === "deepWildcard") return consumeSegments(a, i, (k) => segmentsIntersect(a, b, context, k, j + 1));
+  return segmentIntersects(a[i], b[j], context) && segmentsIntersect(a, b, context, i + 1, j + 1);
+}
+
+function segmentsCover(a, b, context, i, j) {
+  if (i === a.length || j === b.length) return i === a.length && j === b.length;
+  if (a[i].type === "deepWildcard") return consumeSegments(b, j, (k) => segmentsCover(a, b, context, i + 1, k));
+  if (b[j].type === "deepWildcard") return false;
+  return segmentCovers(a[i], b[j], context) && segmentsCover(a, b, context, i + 1, j + 1);
+}
+
+function consumeSegments(segments, start, next) {
+  for (let end = start + 1; end <= segments.length; end++) {
+    const empty = end === start + 1 && segments[start].type === "static" && segments[start].value === "";
+    if (!empty && next(end)) return true;
+  }
+  return false;
+}
+
+function segmentIntersects(a, b, context) {
+  if (a.type === "static" && b.type === "static") return staticEquals(a.value, b.value, context.ignoreCase);
+  if (a.type === "static") return constraintAccepts(b.constraint, a.value, context.ignoreCase);
+  if (b.type === "static") return constraintAccepts(a.constraint, b.value, context.ignoreCase);
+  if (segmentCovers(a, b, context) || segmentCovers(b, a, context)) return true;
+  return CONSTRAINT_SAMPLES.some(
+    (sample) =>
+      constraintAccepts(a.constraint, sample, context.ignoreCase) &&
+      constraintAccepts(b.constraint, sample, context.ignoreCase)
+  );
+}
+
+function segmentCovers(a, b, context) {
+  if (a.type === "static") return b.type === "static" && staticEquals(a.value, b.value, context.ignoreCase);
+  if (b.type === "static") return constraintAccepts(a.constraint, b.value, context.ignoreCase);
+  const negated = /^\[\^([^\]\\]*)\]\+$/.exec(a.constraint);
+  return a.constraint === b.constraint || Boolean(negated && negated[1].includes(context.separator));
+}
+
+function staticEquals(a, b, ignoreCase) {
+  return ignoreCase ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+function constraintAccepts(constraint, value, ignoreCase) {
+  return new RegExp(`^(?:${constraint})$`, ignoreCase ? "i" : "").test(value);
+}
+
+function sharesMethods(a, b) {
+  return !a || !b || a.some((method) => b.includes(method));
+}
+
+function handlesMethods(winner, loser) {
+  return !winner || !loser || loser.every((method) => winner.includes(method));
+}
+
+function splitOptions(args) {
+  const [first] = args;
+  if (args.length > 0 && !("pattern" in first)) return [first, args.slice(1)];
+  return [{}, args];
+}
+
+function serializableOptions(options) {
+  const primitive = ([, value]) => ["string", "number", "boolean"].includes(typeof value);
+  return Object.fromEntries(Object.entries(options).filter(primitive));
+}
+
+function mergeOptions(args, options = {}) {
+  const index = args.findIndex((arg) => typeof arg !== "function");
+  const position = index === -1 ? args.length : index;
+  const [given, routes] = splitOptions(args.slice(position));
+  return [...args.slice(0, position), { ...options, ...given }, ...routes];
 }
 
 class Router {
-  constructor(compilePattern, selectRoute, ...routes) {
+  constructor(compilePattern, selectRoute, ...args) {
+    const [options, routes] = splitOptions(args);
+    this.#settings = serializableOptions(options);
     this.#compilePattern = compilePattern;
     this.#selectRoute = selectRoute;
+    this.#decode = options.decode || null;
+    this.#encode = options.encode || String;
+    this.#specificity = options.specificity || null;
+    this.#joinPatterns = options.joinPatterns || ((patterns) => patterns.join(""));
+    this.#joinBuilders = options.joinBuilders || concatBuilders;
+    this.#methods = options.methods || (() => undefined);
+    this.#separator = options.separator || null;
+    this.#compileHost = options.compileHost || null;
+    this.#hostSpecificity = options.hostSpecificity || (() => 0);
+    this.#safe = Boolean(options.safe);
+    this.#maxLength = options.maxLength ?? DEFAULT_MAX_LENGTH;
+    this.#cache = new ResolutionCache(options.cacheSize ?? 0, options.cacheMaxLength ?? DEFAULT_CACHE_MAX_LENGTH);
     this.#compiledRoutes = this.#flattenRoutes(routes, null);
-    this.#checkDuplicates();
+    this.#register(this.#checkDuplicates(this.#compiledRoutes));
+    this.#renumber();
+    if (options.engine === "trie") this.#trie = this.#buildTrie();
+    else if (options.engine !== undefined && options.engine !== "regex") {
+      throw new Error(`Unknown matching engine "${options.engine}"`);
+    }
   }
 
+  #settings;
   #compilePattern;
   #selectRoute;
   #compiledRoutes;
+  #duplicateKeys = new Map();
+  #names = new Map();
+  #decode;
+  #encode;
+  #specificity;
+  #joinPatterns;
+  #joinBuilders;
+  #methods;
+  #separator;
+  #compileHost;
+  #hostSpecificity;
+  #safe;
+  #maxLength;
+  #cache;
+  #trie = null;
 
-  #flattenRoutes(routes, parentBuilder) {
+  #flattenRoutes(routes, parent) {
     const result = [];
     for (const route of routes) {
       const builder = new RegExpPatternBuilder();
-      if (parentBuilder) builder.concat(parentBuilder);
-      const regex = this.#compilePattern(route.pattern, builder);
-      result.push({ route, regex });
-      if (route.children) result.push(...this.#flattenRoutes(route.children, builder));
+      if (parent) builder.concat(parent.builder);
+      const regex = this.#compile(route.pattern, builder, `route "${route.pattern}"`);
+      const entry = {
+        route,
+        regex,
+        tokens: builder.tokens,
+        builder,
+        parent,
+        parents: parent ? [...parent.parents, parent.route] : [],
+        meta: { ...parent?.meta, ...route.meta },
+        mounts: parent ? parent.mounts : [],
+        prefixes: parent ? parent.prefixes : [],
+        decode: parent ? parent.decode : undefined,
+        host: route.host !== undefined ? this.#compileHostPattern(route) : parent?.host || null,
+      };
+      const hostParams = entry.host ? paramNames(entry.host.tokens) : [];
+      const shared = paramNames(entry.tokens).find((name) => hostParams.includes(name));
+      if (shared !== undefined) {
+        const reason = `param "${shared}" is declared by the host and the path`;
+        throw new Error(`Cannot compile route "${route.pattern}": ${reason}`);
+      }
+      result.push(entry);
+      if (route.children) result.push(...this.#flattenRoutes(route.children, entry));
     }
     return result;
   }
 
-  #checkDuplicates() {
-    const seen = new Map();
-    for (const { route, regex } of this.#compiledRoutes) {
-      const key = regex.source;
-      if (seen.has(key)) {
-        const existing = seen.get(key);
+  #compile(pattern, builder, label, compilePattern = this.#compilePattern) {
+    try {
+      const regex = compilePattern(pattern, builder);
+      if (this.#safe) assertSafeTokens(builder.tokens);
+      return regex;
+    } catch (error) {
+      throw new Error(`Cannot compile ${label}: ${error.message}`, { cause: error });
+    }
+  }
+
+  #compileHostPattern(route) {
+    const pattern = route.host;
+    if (!this.#compileHost) throw new Error(`Cannot compile host "${pattern}": router has no compileHost option`);
+    const builder = new RegExpPatternBuilder();
+    const regex = this.#compile(pattern, builder, `host "${pattern}" of route "${route.pattern}"`, this.#compileHost);
+    return { pattern, regex, tokens: builder.tokens };
+  }
+
+  #checkDuplicates(entries) {
+    const keys = new Map();
+    const names = new Map();
+    for (const entry of entries) {
+      const { route } = entry;
+      const key = entryKey(entry);
+      const existing = this.#duplicateKeys.get(key) || keys.get(key);
+      if (existing) {
         throw new Error(
           `Duplicate route detected: pattern "${route.pattern}" matches the same regex as "${existing.pattern}"`
         );
       }
-      seen.set(key, route);
+      keys.set(key, route);
+      if (route.name === undefined) continue;
+      const named = this.#names.get(route.name) || names.get(route.name);
+      if (named) {
+        const patterns = `"${named.route.pattern}" and "${route.pattern}"`;
+        throw new Error(`Duplicate route name "${route.name}": used by routes ${patterns}`);
+      }
+      names.set(route.name, entry);
+    }
+    return { keys, names };
+  }
+
+  #register({ keys, names }) {
+    for (const [key, route] of keys) this.#duplicateKeys.set(key, route);
+    for (const [name, entry] of names) this.#names.set(name, entry);
+  }
+
+  #renumber() {
+    this.#compiledRoutes.forEach((entry, index) => (entry.order = index));
+  }
+
+  #buildTrie() {
+    if (!this.#separator) throw new Error(`The "trie" engine requires a segment separator`);
+    const trie = new SegmentTrie(this.#separator);
+    for (const entry of this.#compiledRoutes) trie.insert(entry);
+    return trie;
+  }
+
+  #lookup(path) {
+    return this.#trie ? this.#trie.lookup(path) : this.#compiledRoutes;
+  }
+
+  #findEntry(routeOrName) {
+    if (typeof routeOrName === "string") return this.#names.get(routeOrName);
+    return this.#compiledRoutes.find(({ route }) => route === routeOrName);
+  }
+
+  add(route, options = {}) {
+    const parent = options.parent ? this.#findEntry(options.parent) : null;
+    if (options.parent && !parent) {
+      const label = typeof options.parent === "string" ? options.parent : options.parent.pattern;
+      throw new Error(`Cannot add route "${route.pattern}": parent route "${label}" is not registered`);
+    }
+    const entries = this.#flattenRoutes([route], parent);
+    const checked = this.#checkDuplicates(entries);
+    let index = this.#compiledRoutes.length;
+    if (parent) {
+      index = this.#compiledRoutes.indexOf(parent) + 1;
+      while (index < this.#compiledRoutes.length && isDescendant(this.#compiledRoutes[index], parent)) index++;
+    }
+    this.#compiledRoutes.splice(index, 0, ...entries);
+    this.#register(checked);
+    this.#renumber();
+    for (const entry of entries) this.#trie?.insert(entry);
+    this.#cache.clear();
+    return this;
+  }
+
+  mount(prefix, router) {
+    const prefixBuilder = new RegExpPatternBuilder();
+    this.#compile(prefix, prefixBuilder, `mount prefix "${prefix}"`);
+    const mount = { selectRoute: router.#selectRoute, joinPatterns: router.#joinPatterns };
+    const copies = new Map();
+    for (const entry of router.#compiledRoutes) {
+      const builder = this.#joinBuilders(prefixBuilder, entry.builder, prefix);
+      const label = `route "${entry.route.pattern}" mounted at "${prefix}"`;
+      const regex = this.#compile(builder, builder, label, () => builder.build(entry.regex.flags));
+      copies.set(entry, {
+        ...entry,
+        regex,
+        tokens: builder.tokens,
+        builder,
+        parent: entry.parent && copies.get(entry.parent),
+        mounts: [mount, ...entry.mounts],
+        prefixes: [prefix, ...entry.prefixes],
+        decode: entry.decode !== undefined ? entry.decode : router.#decode,
+      });
+    }
+    const entries = [...copies.values()];
+    this.#register(this.#checkDuplicates(entries));
+    this.#compiledRoutes.push(...entries);
+    this.#renumber();
+    for (const entry of entries) this.#trie?.insert(entry);
+    this.#cache.clear();
+    return this;
+  }
+
+  remove(routeOrPattern) {
+    const matches = this.#compiledRoutes.filter(
+      ({ route }) => route === routeOrPattern || route.pattern === routeOrPattern
+    );
+    if (matches.length > 1) {
+      throw new Error(`Cannot remove route "${routeOrPattern}": the pattern is registered more than once`);
+    }
+    const [target] = matches;
+    if (!target) return false;
+    const removed = this.#compiledRoutes.filter((entry) => entry === target || isDescendant(entry, target));
+    this.#compiledRoutes = this.#compiledRoutes.filter((entry) => !removed.includes(entry));
+    for (const entry of removed) {
+      const key = entryKey(entry);
+      if (this.#duplicateKeys.get(key) === entry.route) this.#duplicateKeys.delete(key);
+      if (this.#names.get(entry.route.name) === entry) this.#names.delete(entry.route.name);
+      this.#trie?.remove(entry);
+    }
+    this.#renumber();
+    this.#cache.clear();
+    return true;
+  }
+
+  routes() {
+    return this.#compiledRoutes.map((entry) => {
+      const { route, regex, parents, prefixes, host } = entry;
+      return {
+        route,
+        host: host ? host.pattern : undefined,
+        pattern: this.#joinPatterns([...prefixes, ...[...parents, route].map((item) => item.pattern)]),
+        regex: regex.source,
+        flags: regex.flags,
+        parents: [...parents],
+        depth: parents.length,
+        specificity: this.#specificity ? this.#specificity(prefixedRoute(entry, this.#joinPatterns, 0)) : undefined,
+      };
+    });
+  }
+
+  toJSON() {
+    const routes = this.routes();
+    return routes.map(({ route, parents, host, ...info }) => ({
+      ...(host !== undefined && { host }),
+      ...info,
+      ...(route.name !== undefined && { name: route.name }),
+      parents: parents.map((parent) => routes.find((candidate) => candidate.route === parent).pattern),
+    }));
+  }
+
+  toTable() {
+    const rows = [["Pattern", "Depth", "Specificity", "Regex"]];
+    for (const { host, pattern, depth, specificity, regex, flags } of this.routes()) {
+      const score = specificity === undefined ? "-" : String(specificity);
+      rows.push([host ? host + pattern : pattern, String(depth), score, `/${regex}/${flags}`]);
+    }
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+  }
+
+  precompile(options = {}) {
+    const infos = this.routes();
+    const mounts = [];
+    const ids = new Set();
+    const routes = this.#compiledRoutes.map((entry, index) => {
+      const { route, regex, builder, host } = entry;
+      const { pattern } = infos[index];
+      const id = route.name ?? (host ? host.pattern + pattern : pattern);
+      if (ids.has(id)) throw new Error(`Cannot precompile router: route id "${id}" is not unique`);
+      ids.add(id);
+      const foreign = entry.mounts.some((mount) => mount.selectRoute !== this.#selectRoute);
+      if (foreign || (entry.decode !== undefined && entry.decode !== this.#decode)) {
+        throw new Error(`Cannot precompile route "${pattern}": it is mounted from a router with different strategies`);
+      }
+      for (const mount of entry.mounts) if (!mounts.includes(mount)) mounts.push(mount);
+      return {
+        id,
+        route: serializeRoute(route),
+        parent: this.#compiledRoutes.indexOf(entry.parent),
+        regex: { source: regex.source, flags: regex.flags },
+        builder: {
+          parts: builder.parts,
+          tokens: serializeTokens(builder.tokens, pattern),
+          wildcards: builder.wildcards,
+        },
+        host: host && {
+          pattern: host.pattern,
+          regex: { source: host.regex.source, flags: host.regex.flags },
+          tokens: serializeTokens(host.tokens, host.pattern),
+        },
+        mounts: entry.mounts.map((mount) => mounts.indexOf(mount)),
+        prefixes: entry.prefixes,
+      };
+    });
+    const className = options.className || this.constructor.name;
+    const table = { version: PRECOMPILED_VERSION, router: className, options: this.#settings, routes };
+    return [
+      `"use strict";`,
+      `// Generated by athlete-router from a compiled ${className}. Do not edit.`,
+      `const { ${className} } = require(${JSON.stringify(options.require || "athlete-router")});`,
+      ``,
+      `const table = ${JSON.stringify(table, null, 2)};`,
+      ``,
+      `module.exports = (routes, ...args) => ${className}.fromPrecompiled(table, routes, ...args);`,
+      ``,
+    ].join("\n");
+  }
+
+  static fromPrecompiled(table, routes = {}, ...args) {
+    if (table.version !== PRECOMPILED_VERSION) {
+      throw new Error(`Unsupported precompiled table version ${table.version}, expected ${PRECOMPILED_VERSION}`);
+    }
+    const router = new this(...mergeOptions(args, table.options));
+    router.#restore(table.routes, routes);
+    return router;
+  }
+
+  #restore(records, routes) {
+    const mounts = [];
+    const entries = [];
+    for (const record of records) {
+      const route = routes[record.id] ?? record.route;
+      const parent = entries[record.parent] || null;
+      const builder = Object.assign(new RegExpPatternBuilder(), {
+        parts: [...record.builder.parts],
+        tokens: restoreTokens(record.builder.tokens),
+        wildcards: record.builder.wildcards,
+      });
+      for (const index of record.mounts) if (!mounts[index]) mounts[index] = this.#strategy();
+      entries.push({
+        route,
+        regex: new RegExp(record.regex.source, record.regex.flags),
+        tokens: builder.tokens,
+        builder,
+        parent,
+        parents: parent ? [...parent.parents, parent.route] : [],
+        meta: { ...parent?.meta, ...route.meta },
+        mounts: record.mounts.map((index) => mounts[index]),
+        prefixes: [...record.prefixes],
+        decode: undefined,
+        host: record.host && {
+          pattern: record.host.pattern,
+          regex: new RegExp(record.host.regex.source, record.host.regex.flags),
+          tokens: restoreTokens(record.host.tokens),
+        },
+      });
     }
+    this.#register({
+      keys: new Map(entries.map((entry) => [entryKey(entry), entry.route])),
+      names: new Map(entries.filter(({ route }) => route.name !== undefined).map((entry) => [entry.route.name, entry])),
+    });
+    this.#compiledRoutes.push(...entries);
+    this.#renumber();
+    if (this.#trie) this.#trie = this.#buildTrie();
+    this.#cache.clear();
   }
 
-  resolve(path) {
+  analyze() {
+    if (!this.#separator) throw new Error(`Route analysis requires a segment separator`);
+    const infos = this.routes();
+    const routes = this.#compiledRoutes
+      .map((entry, index) => analyzeEntry(entry, infos[index], this.#separator))
+      .filter(Boolean);
+    const issues = [];
+    const swallowed = new Map();
+    for (let i = 0; i < routes.length; i++) {
+      for (let j = i + 1; j < routes.length; j++) {
+        const [a, b] = [routes[i], routes[j]];
+        if (a.entry.host?.regex.source !== b.entry.host?.regex.source) continue;
+        if (!routesIntersect(a, b, this.#separator)) continue;
+        const [methodsA, methodsB] = [this.#methods(a.info.route), this.#methods(b.info.route)];
+        const preferred = [a, b][this.#select([a, b])];
+        if (!preferred) continue;
+        if (preferred !== [b, a][this.#select([b, a])]) {
+          if (sharesMethods(methodsA, methodsB)) issues.push(createIssue("ambiguous", [a, b]));
+          continue;
+        }
+        const [winner, loser] = preferred === a ? [a, b] : [b, a];
+        const methods = preferred === a ? [methodsA, methodsB] : [methodsB, methodsA];
+        if (!handlesMethods(...methods) || !routeCovers(winner, loser, this.#separator)) continue;
+        if (!winner.deep) issues.push(createIssue("shadowed", [loser, winner]));
+        else if (swallowed.has(winner)) swallowed.get(winner).push(loser);
+        else swallowed.set(winner, [loser]);
+      }
+    }
+    for (const [winner, losers] of swallowed) issues.push(createIssue("catchAll", [winner, ...losers]));
+    return issues;
+  }
+
+  #collectCandidates(path, filter, host) {
+    if (path.length > this.#maxLength) return [];
+    const matched = this.#cache.fetch(path, host, () => this.#matchEntries(path, host));
+    const candidates = [];
+    for (const { entry, candidate } of matched) {
+      const copy = copyCandidate(candidate);
+      if (!filter || filter(copy)) candidates.push({ entry, candidate: copy });
+    }
+    return candidates;
+  }
+
+  #matchEntries(path, host) {
     const matched = [];
-    for (const { route, regex } of this.#compiledRoutes) {
+    for (const entry of this.#lookup(path)) {
+      const { route, regex, tokens, parents, meta } = entry;
+      const hostMatch = entry.host && host !== undefined ? host.match(entry.host.regex) : null;
+      if (entry.host && !hostMatch) continue;
       const matchResult = path.match(regex);
-      if (matchResult) matched.push(route);
+      if (!matchResult) continue;
+      const values = extractGroups(matchResult.groups, tokens, this.#decodeFor(entry));
+      if (!values) continue;
+      const hostValues = hostMatch && extractGroups(hostMatch.groups, entry.host.tokens, null);
+      if (hostValues) {
+        values.params = { ...hostValues.params, ...values.params };
+        values.hostWildcards = hostValues.wildcards;
+      }
+      matched.push({ entry, candidate: { route, name: route.name, ...values, regex, parents, meta } });
+    }
+    return matched;
+  }
+
+  #decodeFor(entry) {
+    return entry.decode !== undefined ? entry.decode : this.#decode;
+  }
+
+  #select(items) {
+    if (!items.some(({ entry }) => entry.host)) return selectMounted(items, this.#strategy(), 0);
+    const scores = items.map(({ entry }) => (entry.host ? this.#hostSpecificity(entry.host.pattern) : -Infinity));
+    const best = Math.max(...scores);
+    const tier = items.filter((_, index) => scores[index] === best);
+    return items.indexOf(tier[selectMounted(tier, this.#strategy(), 0)]);
+  }
+
+  #strategy() {
+    return { selectRoute: this.#selectRoute, joinPatterns: this.#joinPatterns };
+  }
+
+  match(path, options = {}) {
+    const candidates = this.#collectCandidates(path, options.filter, options.host);
+    return candidates[this.#select(candidates)]?.candidate;
+  }
+
+  resolveAll(path, options = {}) {
+    const remaining = this.#collectCandidates(path, options.filter, options.host);
+    const ordered = [];
+    for (let index = this.#select(remaining); index >= 0; index = this.#select(remaining)) {
+      ordered.push(remaining.splice(index, 1)[0].candidate);
+    }
+    return ordered;
+  }
+
+  resolve(path, options) {
+    return this.match(path, options)?.route;
+  }
+
+  get(name) {
+    return this.#names.get(name)?.route;
+  }
+
+  cacheStats() {
+    return this.#cache.stats();
+  }
+
+  build(routeOrName, params = {}, wildcards = []) {
+    const entry = this.#findEntry(routeOrName);
+    if (!entry) {
+      const label = typeof routeOrName === "string" ? routeOrName : routeOrName?.pattern;
+      throw new Error(`Cannot build path: route "${label}" is not registered`);
+    }
+    const path = buildPath(entry.tokens, params, wildcards, entry.route.pattern, this.#encode);
+    const match = path.match(entry.regex);
+    const groups = match?.groups || {};
+    const tokens = flattenTokens(entry.tokens);
+    const resolvesBack = Boolean(match) && Object.entries(params).every(([name, value]) => {
+      if (value === undefined || value === null || !(name in groups)) return true;
+      const token = tokens.find((item) => item.type === "param" && item.name === name);
+      return groups[name] === this.#encode(String(value), token);
+    });
+    if (!resolvesBack || !extractGroups(groups, entry.tokens, this.#decodeFor(entry))) {
+      const pattern = entry.route.pattern;
+      throw new Error(`Cannot build path for route "${pattern}": "${path}" does not resolve back to the route`);
+    }
+    return path;
+  }
+}
+
+const ISSUE_SEVERITIES = { ambiguous: "warning", shadowed: "error", catchAll: "error" };
+
+function createIssue(type, routes) {
+  const patterns = routes.map(({ info }) => info.pattern);
+  const [first, ...rest] = patterns.map((pattern) => `"${pattern}"`);
+  let message;
+  if (type === "ambiguous") {
+    message = `Routes ${first} and ${rest[0]} can match the same path and are selected by registration order`;
+  } else if (type === "shadowed") {
+    message = `Route ${first} can never be selected: ${rest[0]} matches all of its paths and is always preferred`;
+  } else message = `Catch-all route ${first} swallows routes that can never be selected: ${rest.join(", ")}`;
+  return { type, severity: ISSUE_SEVERITIES[type], message, routes: routes.map(({ info }) => info.route), patterns };
+}
+
+function selectMounted(items, strategy, depth) {
+  const contenders = [];
+  const groups = new Map();
+  for (const item of items) {
+    const mount = item.entry.mounts[depth];
+    if (!mount) contenders.push(item);
+    else if (groups.has(mount)) groups.get(mount).push(item);
+    else {
+      groups.set(mount, [item]);
+      contenders.push(mount);
+    }
+  }
+  const winners = contenders.map((contender) => {
+    const group = groups.get(contender);
+    return group ? group[selectMounted(group, contender, depth + 1)] : contender;
+  }).filter(Boolean);
+  if (winners.length === 0) return -1;
+  const routes = winners.map(({ entry }) => prefixedRoute(entry, strategy.joinPatterns, depth));
+  return items.indexOf(winners[routes.indexOf(strategy.selectRoute(routes))]);
+}
+
+function prefixedRoute(entry, joinPatterns, depth) {
+  const prefixes = entry.prefixes.slice(depth);
+  if (prefixes.length === 0) return entry.route;
+  return Object.create(entry.route, { pattern: { value: joinPatterns([...prefixes, entry.route.pattern]) } });
+}
+
+function copyCandidate(candidate) {
+  const { params, wildcards, hostWildcards, parents, meta } = candidate;
+  const copy = {
+    ...candidate,
+    params: { ...params },
+    wildcards: [...wildcards],
+    parents: [...parents],
+    meta: { ...meta },
+  };
+  if (hostWildcards) copy.hostWildcards = [...hostWildcards];
+  return copy;
+}
+
+function isDescendant(entry, ancestor) {
+  for (let parent = entry.parent; parent; parent = parent.parent) if (parent === ancestor) return true;
+  return false;
+}
+
+const DEFAULT_MAX_LENGTH = 8192;
+
+const DEFAULT_CACHE_MAX_LENGTH = 256;
+
+class ResolutionCache {
+  constructor(capacity, maxLength) {
+    if (!Number.isInteger(capacity) || capacity < 0) throw new Error(`Invalid cache size "${capacity}"`);
+    this.capacity = capacity;
+    this.maxLength = maxLength;
+  }
+
+  #entries = new Map();
+  #hits = 0;
+  #misses = 0;
+  #skipped = 0;
+
+  fetch(path, host, compute) {
+    if (this.capacity === 0) return compute();
+    if (path.length + (host?.length ?? 0) > this.maxLength) {
+      this.#skipped++;
+      return compute();
+    }
+    const key = host === undefined ? `:${path}` : `${host.length}:${host}${path}`;
+    if (this.#entries.has(key)) {
+      const value = this.#entries.get(key);
+      this.#entries.delete(key);
+      this.#entries.set(key, value);
+      this.#hits++;
+      return value;
+    }
+    this.#misses++;
+    const value = compute();
+    if (this.#entries.size >= this.capacity) this.#entries.delete(this.#entries.keys().next().value);
+    this.#entries.set(key, value);
+    return value;
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+
+  stats() {
+    const { capacity } = this;
+    return { hits: this.#hits, misses: this.#misses, skipped: this.#skipped, size: this.#entries.size, capacity };
+  }
+}
+
+const PRECOMPILED_VERSION = 1;
+
+function serializeRoute(route) {
+  return {
+    pattern: route.pattern,
+    ...(route.name !== undefined && { name: route.name }),
+    ...(route.meta !== undefined && { meta: route.meta }),
+    ...(route.host !== undefined && { host: route.host }),
+  };
+}
+
+function serializeTokens(tokens, pattern) {
+  return tokens.map((token) => {
+    if (token.type === "optional") return { ...token, tokens: serializeTokens(token.tokens, pattern) };
+    if (!token.parse) return token;
+    const parser = Object.keys(PARSERS).find((name) => PARSERS[name] === token.parse);
+    if (!parser) throw new Error(`Cannot precompile route "${pattern}": param "${token.name}" uses a custom parser`);
+    return { ...token, parse: parser };
+  });
+}
+
+function restoreTokens(tokens) {
+  return tokens.map((token) => {
+    if (token.type === "optional") return { ...token, tokens: restoreTokens(token.tokens) };
+    return token.parse ? { ...token, parse: PARSERS[token.parse] } : { ...token };
+  });
+}
+
+function entryKey(entry) {
+  const key = duplicateKey(entry.regex);
+  return entry.host ? `${duplicateKey(entry.host.regex)} ${key}` : key;
+}
+
+function duplicateKey(regex) {
+  const key = regex.source.replace(/\(\?<(?![=!$])[^>]+>/g, "(?<>");
+  if (!regex.flags.includes("i")) return key;
+  return key.replace(/\\.|[A-Z]/g, (char) => (char.length === 1 ? char.toLowerCase() : char));
+}
+
+function buildPath(tokens, params, wildcards, pattern, encode, state = { wildcardIndex: 0 }) {
+  let path = "";
+  for (const token of tokens) {
+    if (token.type === "exact") {
+      path += token.value;
+      continue;
+    }
+    if (token.type === "optional") {
+      if (hasTokenValues(token.tokens, params, wildcards, state.wildcardIndex)) {
+        path += buildPath(token.tokens, params, wildcards, pattern, encode, state);
+      } else state.wildcardIndex += countWildcardTokens(token.tokens);
+      continue;
+    }
+    const isParam = token.type === "param";
+    const label = isParam ? `param "${token.name}"` : `wildcard #${state.wildcardIndex}`;
+    const value = isParam ? params[token.name] : wildcards[state.wildcardIndex++];
+    if (value === undefined || value === null) {
+      throw new Error(`Cannot build path for route "${pattern}": missing ${label}`);
+    }
+    const encoded = encode(String(value), token);
+    if (!new RegExp(`^(?:${token.constraint})$`).test(encoded)) {
+      throw new Error(
+        `Cannot build path for route "${pattern}": ${label} value "${value}" does not satisfy /${token.constraint}/`
+      );
+    }
+    path += encoded;
+  }
+  return path;
+}
+
+function hasTokenValues(tokens, params, wildcards, wildcardIndex) {
+  for (const token of tokens) {
+    if (token.type === "param" && params[token.name] !== undefined && params[token.name] !== null) return true;
+    if (token.type === "wildcard" || token.type === "deepWildcard") {
+      const value = wildcards[wildcardIndex++];
+      if (value !== undefined && value !== null) return true;
+    }
+    if (token.type === "optional") {
+      if (hasTokenValues(token.tokens, params, wildcards, wildcardIndex)) return true;
+      wildcardIndex += countWildcardTokens(token.tokens);
+    }
+  }
+  return false;
+}
+
+function countWildcardTokens(tokens) {
+  let count = 0;
+  for (const token of tokens) {
+    if (token.type === "wildcard" || token.type === "deepWildcard") count++;
+    else if (token.type === "optional") count += countWildcardTokens(token.tokens);
+  }
+  return count;
+}
+
+
+function extractGroups(groups, tokens, decode) {
+  const params = {};
+  const wildcards = [];
+  for (const [name, value] of Object.entries(groups || {})) {
+    if (name.startsWith("$")) wildcards[Number(name.slice(1))] = value;
+    else params[name] = value;
+  }
+  const values = { params, wildcards };
+  return processTokenValues(values, tokens, decode, { wildcardIndex: 0 }) ? values : null;
+}
+
+function processTokenValues(values, tokens, decode, state) {
+  for (const token of tokens) {
+    if (token.type === "exact") continue;
+    if (token.type === "optional") {
+      if (!processTokenValues(values, token.tokens, decode, state)) return false;
+      continue;
     }
-    if (matched.length === 0) return undefined;
-    return this.#selectRoute(matched);
+    const target = token.type === "param" ? values.params : values.wildcards;
+    const key = token.type === "param" ? token.name : state.wildcardIndex++;
+    let value = target[key];
+    if (value === undefined) continue;
+    if (decode) {
+      value = decode(value, token);
+      if (value === undefined) return false;
+    }
+    target[key] = token.parse ? token.parse(value) : value;
   }
+  return true;
 }
 
+const PARAM_TYPES = {
+  int: { constraint: "-?\\d+", parse: Number },
+  number: { constraint: "-?\\d+(\\.\\d+)?", parse: Number },
+  slug: { constraint: "[a-z0-9]+(-[a-z0-9]+)*" },
+  uuid: { constraint: "[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}" },
+};
+
+function scanPattern(text, onTopLevel) {
+  let parens = 0;
+  let braces = 0;
+  let inClass = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (parens > 0) {
+      if (char === "\\") i++;
+      else if (inClass) inClass = char !== "]";
+      else if (char === "[") inClass = true;
+      else if (char === "(") parens++;
+      else if (char === ")") parens--;
+    } else if (char === "(") parens++;
+    else if (char === "{") {
+      if (braces++ === 0) onTopLevel(char, i);
+    } else if (char === "}" && braces > 0) {
+      if (--braces === 0) onTopLevel(char, i);
+    } else if (braces === 0) onTopLevel(char, i);
+  }
+  if (parens !== 0 || braces !== 0) throw new Error(`Unbalanced brackets in pattern "${text}"`);
+}
+
+function splitPattern(pattern, separator) {
+  const segments = [];
+  let start = 0;
+  scanPattern(pattern, (char, index) => {
+    if (char !== separator) return;
+    segments.push(pattern.slice(start, index));
+    start = index + 1;
+  });
+  segments.push(pattern.slice(start));
+  return segments;
+}
 
-function compileHttpPattern(pattern, builder) {
-  const segments = pattern.split("/").filter(Boolean);
-  builder.exact("/");
+function splitHttpPattern(pattern, keepEmpty = false) {
+  const segments = splitPattern(pattern, "/");
+  return keepEmpty ? segments : segments.filter(Boolean);
+}
+
+function parseHttpSegment(segment) {
+  const pieces = [];
+  let start = 0;
+  scanPattern(segment, (char, index) => {
+    if (char === "{") {
+      if (index > start) pieces.push(parseHttpPiece(segment.slice(start, index)));
+    } else if (char === "}") pieces.push({ type: "group", pattern: segment.slice(start, index) });
+    else return;
+    start = index + 1;
+  });
+  if (start < segment.length) pieces.push(parseHttpPiece(segment.slice(start)));
+  return pieces;
+}
+
+function parseHttpPiece(piece) {
+  if (piece === "*") return { type: "wildcard" };
+  if (piece === "**") return { type: "deepWildcard" };
+  if (!piece.startsWith(":")) return { type: "exact", value: piece };
+  const match = /^:([^(<?]+)(?:<([^>]*)>|\((.*)\))?(\?)?$/s.exec(piece);
+  if (!match) throw new Error(`Invalid param segment "${piece}"`);
+  const [, name, typeName, constraint, optional] = match;
+  const param = { type: "param", name, optional: Boolean(optional) };
+  if (typeName === undefined) return { ...param, constraint };
+  const paramType = PARAM_TYPES[typeName];
+  if (!paramType) throw new Error(`Unknown param type "${typeName}" in segment "${piece}"`);
+  return { ...param, ...paramType };
+}
+
+function isOptionalHttpSegment(pieces) {
+  return pieces.every((piece) => piece.type === "group" || piece.optional);
+}
+
+function compileHttpPattern(pattern, builder, options = {}) {
+  const segments = splitHttpPattern(pattern).map(parseHttpSegment);
+  if (builder.tokens.length === 0) builder.exact("/");
+  let separate = !isHttpRoot(builder.tokens);
   for (let i = 0; i < segments.length; i++) {
-    const segment = segments[i];
-    if (segment.startsWith(":")) builder.param(segment.slice(1));
-    else if (segment === "*") builder.wildcard();
-    else if (segment === "**") {
-      builder.deepWildcard();
-      break;
-    } else builder.exact(segment);
-    if (i < segments.length - 1 && segment !== "**") builder.exact("/");
+    const pieces = segments[i];
+    if (isOptionalHttpSegment(pieces)) {
+      if (!separate && i < segments.length - 1) {
+        builder.optional((inner) => compileOptionalHttpSegment(pieces, inner, false).exact("/"));
+        continue;
+      }
+      builder.optional((inner) => compileOptionalHttpSegment(pieces, inner, separate));
+    } else {
+      if (separate) builder.exact("/");
+      compileHttpPieces(pieces, builder);
+      if (pieces.some((piece) => piece.type === "deepWildcard")) break;
+    }
+    separate = true;
   }
-  return builder.build();
+  return builder.build(options.caseSensitive === false ? "i" : "");
 }
 
-function calculateRouteSpecificity(route) {
-  const pattern = route.pattern;
-  const segments = pattern.split("/").filter(Boolean);
-  let score = segments.length * 10000;
+function compileOptionalHttpSegment(pieces, builder, separate) {
+  const [piece] = pieces;
+  if (pieces.length > 1) return compileHttpPieces(pieces, separate ? builder.exact("/") : builder);
+  if (piece.type === "group" && piece.pattern.startsWith("/")) {
+    return compileHttpFragment(separate ? piece.pattern : piece.pattern.slice(1), builder);
+  }
+  return compileHttpPieces([{ ...piece, optional: false }], separate ? builder.exact("/") : builder);
+}
+
+function isHttpRoot([first, ...rest]) {
+  return first?.type === "exact" && first.value === "/" && rest.length === 0;
+}
+
+function joinHttpPatterns(patterns) {
+  return patterns.map((pattern) => "/" + splitHttpPattern(pattern).join("/")).join("");
+}
+
+function joinHttpBuilders(prefix, builder) {
+  if (isHttpRoot(prefix.tokens)) return concatBuilders(new RegExpPatternBuilder(), builder);
+  const [first, ...rest] = builder.tokens;
+  if (isHttpRoot(builder.tokens)) return concatBuilders(prefix, new RegExpPatternBuilder());
+  if (!isHttpRoot([first]) || rest.length !== 1 || rest[0].type !== "optional") return concatBuilders(prefix, builder);
+  const joined = concatBuilders(prefix, new RegExpPatternBuilder());
+  return joined.optional((inner) => replayTokens([first, ...rest[0].tokens], inner));
+}
+
+function compileHttpPieces(pieces, builder) {
+  for (const piece of pieces) {
+    if (piece.optional) builder.optional((inner) => compileHttpPieces([{ ...piece, optional: false }], inner));
+    else if (piece.type === "group" && piece.optional === false) compileHttpFragment(piece.pattern, builder);
+    else if (piece.type === "group") builder.optional((inner) => compileHttpFragment(piece.pattern, inner));
+    else if (piece.type === "param") builder.param(piece.name, piece.constraint, piece.parse);
+    else if (piece.type === "wildcard") builder.wildcard();
+    else if (piece.type === "deepWildcard") builder.deepWildcard();
+    else builder.exact(piece.value);
+  }
+  return builder;
+}
+
+function compileHttpFragment(fragment, builder) {
+  const segments = splitHttpPattern(fragment, true);
   for (let i = 0; i < segments.length; i++) {
-    const segment = segments[i];
-    const positionWeight = (segments.length - i) * 1000;
-    if (segment === "**") score += 1 + positionWeight;
-    else if (segment === "*") score += 10 + positionWeight;
-    else if (segment.startsWith(":")) score += 100 + positionWeight;
+    if (i > 0) builder.exact("/");
+    compileHttpPieces(parseHttpSegment(segments[i]), builder);
+  }
+  return builder;
+}
+
+function calculateRouteSpecificity(route) {
+  const segments = splitHttpPattern(route.pattern).map(parseHttpSegment);
+  const required = segments.filter((pieces) => !isOptionalHttpSegment(pieces));
+  const optionalCount = segments.flat().filter((piece) => piece.type === "group" || piece.optional).length;
+  let score = required.length * 10000 - optionalCount;
+  for (let i = 0; i < required.length; i++) {
+    const segment = required[i].find((piece) => piece.type !== "group" && !piece.optional);
+    const positionWeight = (required.length - i) * 1000;
+    if (segment.type === "deepWildcard") score += 1 + positionWeight;
+    else if (segment.type === "wildcard") score += 10 + positionWeight;
+    else if (segment.type === "param") score += (segment.constraint ? 500 : 100) + positionWeight;
     else score += 1000 + positionWeight;
   }
   return score;
 }
 
-function selectMostSpecificRoute(matched) {
+const HOST_LABEL = "[^.]+";
+
+function parseHostPattern(pattern) {
+  return splitPattern(pattern, ".").map((label) => {
+    if (!label) throw new Error(`Invalid host pattern "${pattern}": empty label`);
+    return parseWsSegment(label);
+  });
+}
+
+function compileHostPattern(pattern, builder) {
+  const labels = parseHostPattern(pattern);
+  for (let i = 0; i < labels.length; i++) {
+    if (i > 0) builder.exact(".");
+    for (const piece of labels[i]) {
+      if (piece.type === "param") builder.param(piece.name, piece.constraint || HOST_LABEL, piece.parse);
+      else if (piece.type === "wildcard") builder.wildcard(HOST_LABEL);
+      else if (piece.type === "deepWildcard") builder.deepWildcard();
+      else builder.exact(piece.value);
+    }
+  }
+  return builder.build("i");
+}
+
+function calculateHostSpecificity(pattern) {
+  const labels = parseHostPattern(pattern);
+  let score = labels.length * 10000;
+  for (let i = 0; i < labels.length; i++) {
+    const [label] = labels[i];
+    const positionWeight = (i + 1) * 1000;
+    if (label.type === "deepWildcard") score += 1 + positionWeight;
+    else if (label.type === "wildcard") score += 10 + positionWeight;
+    else if (label.type === "param") score += (label.constraint ? 500 : 100) + positionWeight;
+    else score += 1000 + positionWeight;
+  }
+  return score;
+}
+
+function normalizeHost(host) {
+  if (host === undefined || host === null) return undefined;
+  const name = host.startsWith("[") ? host.slice(0, host.indexOf("]") + 1) : host.split(":")[0];
+  return name.toLowerCase().replace(/\.$/, "");
+}
+
+function selectHighestScoring(matched, calculate) {
   if (matched.length === 0) return undefined;
   let best = matched[0];
-  let bestScore = calculateRouteSpecificity(best);
+  let bestScore = calculate(best);
   for (let i = 1; i < matched.length; i++) {
-    const score = calculateRouteSpecificity(matched[i]);
+    const score = calculate(matched[i]);
     if (score > bestScore) {
       bestScore = score;
       best = matched[i];
@@ -131,55 +1535,452 @@ function selectMostSpecificRoute(matched) {
   return best;
 }
 
+function selectMostSpecificRoute(matched) {
+  return selectHighestScoring(matched, calculateRouteSpecificity);
+}
+
+function encodeHttpValue(value, token) {
+  const encoded = encodeURIComponent(value);
+  if (token.type !== "deepWildcard") return encoded;
+  return encoded.replace(/%(2F|3A)/g, (escape) => decodeURIComponent(escape));
+}
+
+function decodeHttpValue(value, token) {
+  if (token.type !== "deepWildcard" && /%2f/i.test(value)) return undefined;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return undefined;
+  }
+}
+
+function parseQuery(search) {
+  const query = new Map();
+  for (const [key, value] of new URLSearchParams(search)) {
+    query.set(key, query.has(key) ? [].concat(query.get(key), value) : value);
+  }
+  return Object.fromEntries(query);
+}
+
+function splitHttpUrl(url) {
+  const hashIndex = url.indexOf("#");
+  const target = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const queryIndex = target.indexOf("?");
+  if (queryIndex === -1) return { path: target, search: "", query: {} };
+  const search = target.slice(queryIndex);
+  return { path: target.slice(0, queryIndex), search, query: parseQuery(search.slice(1)) };
+}
+
+const HTTP_METHODS = ["get", "head", "post", "put", "patch", "delete", "options"];
+
+function findMethodHandler(route, method) {
+  if (!HTTP_METHODS.includes(method)) return undefined;
+  if (typeof route[method] === "function") return method;
+  if (method === "head" && typeof route.get === "function") return "get";
+  return undefined;
+}
+
+function listRouteMethods(route) {
+  const methods = HTTP_METHODS.filter((method) => method !== "options" && findMethodHandler(route, method));
+  return methods.length > 0 ? methods : undefined;
+}
+
+const PROTOCOL_RELATIVE = /^\/[/\\]/;
+
+const HTTP_POLICIES = {
+  trailingSlash: ["strict", "loose", "redirect"],
+  duplicateSlashes: ["strict", "collapse", "redirect"],
+};
+
+function resolveHttpPolicies(options) {
+  const policies = {};
+  for (const [name, values] of Object.entries(HTTP_POLICIES)) {
+    const value = options[name] ?? values[0];
+    if (!values.includes(value)) {
+      throw new Error(`Invalid ${name} policy "${value}", expected one of: ${values.join(", ")}`);
+    }
+    policies[name] = value;
+  }
+  return policies;
+}
+
 class HTTPRouter extends Router {
-  constructor(...routes) {
-    super(compileHttpPattern, selectMostSpecificRoute, ...routes);
+  constructor(...args) {
+    const [options, routes] = splitOptions(args);
+    const policies = resolveHttpPolicies(options);
+    const compile = (pattern, builder) => compileHttpPattern(pattern, builder, options);
+    const defaults = {
+      engine: "trie",
+      decode: decodeHttpValue,
+      encode: encodeHttpValue,
+      specificity: calculateRouteSpecificity,
+      joinPatterns: joinHttpPatterns,
+      joinBuilders: joinHttpBuilders,
+      methods: listRouteMethods,
+      compileHost: compileHostPattern,
+      hostSpecificity: calculateHostSpecificity,
+    };
+    super(compile, selectMostSpecificRoute, { ...defaults, ...options, separator: "/" }, ...routes);
+    this.#policies = policies;
+  }
+
+  #policies;
+
+  #normalize(url) {
+    const { path, search, query } = splitHttpUrl(url);
+    const { trailingSlash, duplicateSlashes } = this.#policies;
+    let canonical = path;
+    let redirect = false;
+    if (duplicateSlashes !== "strict" && /\/{2,}/.test(canonical)) {
+      canonical = canonical.replace(/\/{2,}/g, "/");
+      redirect = duplicateSlashes === "redirect";
+    }
+    if (trailingSlash !== "strict" && canonical.length > 1 && canonical.endsWith("/")) {
+      canonical = canonical.slice(0, -1);
+      redirect = redirect || trailingSlash === "redirect";
+    }
+    if (redirect && PROTOCOL_RELATIVE.test(canonical)) redirect = false;
+    return { path: canonical, extra: redirect ? { query, redirect: canonical + search } : { query } };
+  }
+
+  match(url, options = {}) {
+    const { path, extra } = this.#normalize(url);
+    options = { ...options, host: normalizeHost(options.host) };
+    if (options.method !== undefined) return this.#matchMethod(path, options, extra);
+    const result = super.match(path, options);
+    return result && { ...result, ...extra };
+  }
+
+  resolveAll(url, options = {}) {
+    const { path, extra } = this.#normalize(url);
+    options = { ...options, host: normalizeHost(options.host) };
+    if (options.method === undefined) return super.resolveAll(path, options).map((result) => ({ ...result, ...extra }));
+    const method = options.method.toLowerCase();
+    const filter = (candidate) =>
+      (!options.filter || options.filter(candidate)) && findMethodHandler(candidate.route, method) !== undefined;
+    return super
+      .resolveAll(path, { ...options, filter })
+      .map((result) => ({ ...result, ...extra, handler: findMethodHandler(result.route, method) }));
   }
+
+  #matchMethod(path, options, extra) {
+    const method = options.method.toLowerCase();
+    const supported = new Set(["options"]);
+    let matchedPath = false;
+    const filter = (candidate) => {
+      if (options.filter && !options.filter(candidate)) return false;
+      matchedPath = true;
+      for (const name of HTTP_METHODS) if (findMethodHandler(candidate.route, name)) supported.add(name);
+      return findMethodHandler(candidate.route, method) !== undefined;
+    };
+    const result = super.match(path, { ...options, filter });
+    if (!matchedPath) return undefined;
+    const allow = HTTP_METHODS.filter((name) => supported.has(name)).map((name) => name.toUpperCase());
+    if (result) return { ...result, ...extra, handler: findMethodHandler(result.route, method), allow };
+    if (method === "options") return { ...super.match(path, options), ...extra, handler: undefined, allow };
+    return { methodNotAllowed: true, allow, ...extra };
+  }
+}
+
+const WS_SEGMENT = "[^:/?#]+";
+
+function splitWsPattern(pattern) {
+  return splitPattern(pattern, ":").filter(Boolean);
+}
+
+function parseWsSegment(segment) {
+  if (segment === "*") return [{ type: "wildcard" }];
+  if (segment === "**") return [{ type: "deepWildcard" }];
+  const pieces = [];
+  let start = 0;
+  scanPattern(segment, (char, index) => {
+    if (char === "{" && index > start) pieces.push({ type: "exact", value: segment.slice(start, index) });
+    else if (char === "}") pieces.push(parseWsParam(segment.slice(start, index)));
+    else if (char !== "{") return;
+    start = index + 1;
+  });
+  if (start < segment.length) pieces.push({ type: "exact", value: segment.slice(start) });
+  return pieces;
+}
+
+function parseWsParam(param) {
+  const match = /^([^(<]+)(?:<([^>]*)>|\((.*)\))?$/s.exec(param);
+  if (!match) throw new Error(`Invalid param "{${param}}"`);
+  const [, name, typeName, constraint] = match;
+  if (typeName === undefined) return { type: "param", name, constraint };
+  const paramType = PARAM_TYPES[typeName];
+  if (!paramType) throw new Error(`Unknown param type "${typeName}" in param "{${param}}"`);
+  return { type: "param", name, ...paramType };
+}
+
+function joinWsPatterns(patterns) {
+  return patterns.reduce((joined, pattern) =>
+    joined.endsWith(":") && pattern.startsWith(":") ? joined + pattern.slice(1) : joined + pattern
+  );
+}
+
+function joinWsBuilders(prefix, builder, pattern) {
+  const joined = concatBuilders(prefix, new RegExpPatternBuilder());
+  const [first] = builder.tokens;
+  if (pattern.endsWith(":") && !(first?.type === "exact" && first.value.startsWith(":"))) joined.exact(":");
+  return joined.concat(builder);
 }
 
 function compileWsPattern(pattern, builder) {
   const startsWithColon = pattern.startsWith(":");
-  const segments = pattern.split(":").filter(Boolean);
+  const segments = splitWsPattern(pattern).map(parseWsSegment);
   for (let i = 0; i < segments.length; i++) {
     if (i === 0 && startsWithColon) builder.exact(":");
-    const segment = segments[i];
-    if (segment === "*") builder.wildcard();
-    else builder.exact(segment);
+    for (const piece of segments[i]) {
+      if (piece.type === "wildcard") builder.wildcard(WS_SEGMENT);
+      else if (piece.type === "deepWildcard") builder.deepWildcard();
+      else if (piece.type === "param") builder.param(piece.name, piece.constraint || WS_SEGMENT, piece.parse);
+      else builder.exact(piece.value);
+    }
     if (i < segments.length - 1) builder.exact(":");
   }
   return builder.build();
 }
 
 function calculateWsSpecificity(route) {
-  const pattern = route.pattern;
-  const segments = pattern.split(":").filter(Boolean);
+  const segments = splitWsPattern(route.pattern).map(parseWsSegment);
   let score = segments.length * 10000;
   for (let i = 0; i < segments.length; i++) {
-    const segment = segments[i];
+    const [first] = segments[i];
+    const param = segments[i].find((piece) => piece.type === "param");
     const positionWeight = (segments.length - i) * 1000;
-    if (segment === "*") score += 10 + positionWeight;
+    if (first.type === "deepWildcard") score += 1 + positionWeight;
+    else if (first.type === "wildcard") score += 10 + positionWeight;
+    else if (param) score += (param.constraint ? 500 : 100) + positionWeight;
     else score += 1000 + positionWeight;
   }
   return score;
 }
 
 function selectMostSpecificWsRoute(matched) {
-  if (matched.length === 0) return undefined;
-  let best = matched[0];
-  let bestScore = calculateWsSpecificity(best);
-  for (let i = 1; i < matched.length; i++) {
-    const score = calculateWsSpecificity(matched[i]);
-    if (score > bestScore) {
-      bestScore = score;
-      best = matched[i];
+  return selectHighestScoring(matched, calculateWsSpecificity);
+}
+
+class WSRouter extends Router {
+  constructor(...args) {
+    const [options, routes] = splitOptions(args);
+    const defaults = {
+      engine: "trie",
+      specificity: calculateWsSpecificity,
+      joinPatterns: joinWsPatterns,
+      joinBuilders: joinWsBuilders,
+    };
+    super(compileWsPattern, selectMostSpecificWsRoute, { ...defaults, ...options, separator: ":" }, ...routes);
+  }
+}
+
+const COMMAND_ARG = "[^ ]+";
+
+const ANY_COMMAND = /^\/[^ ]+(?: .*)?$/s;
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+const COMMAND_ARG_TYPES = {
+  ...PARAM_TYPES,
+  mention: { constraint: "@\\w+", parse: (value) => value.slice(1) },
+  duration: {
+    constraint: "\\d+[smhdw]",
+    parse: (value) => Number(value.slice(0, -1)) * DURATION_UNITS[value[value.length - 1]],
+  },
+};
+
+const PARSERS = {
+  Number,
+  mention: COMMAND_ARG_TYPES.mention.parse,
+  duration: COMMAND_ARG_TYPES.duration.parse,
+};
+
+function parseCommandPattern(pattern) {
+  const [head, ...words] = splitPattern(pattern.trim(), " ").filter(Boolean);
+  const isCommand = head?.startsWith("/");
+  const names = isCommand ? head.slice(1).toLowerCase().split("|") : [];
+  if (names.some((name) => !/^[^\s@|/]+$/.test(name))) throw new Error(`Invalid command in pattern "${pattern}"`);
+  const args = (isCommand ? words : [head, ...words]).filter(Boolean).map((word) => parseCommandWord(word, pattern));
+  for (let i = 1; i < args.length; i++) {
+    if (args[i - 1].optional && !args[i].optional) {
+      throw new Error(`Invalid command pattern "${pattern}": required arguments cannot follow optional ones`);
     }
   }
-  return best;
+  return { command: names[0], aliases: names.slice(1), args };
 }
 
-class WSRouter extends Router {
-  constructor(...routes) {
-    super(compileWsPattern, selectMostSpecificWsRoute, ...routes);
+function parseCommandWord(word, pattern) {
+  if (!word.startsWith("{")) return { type: "exact", value: word };
+  const match = /^\{([^(<?}]+)(?:<([^>]*)>|\((.*)\))?(\?)?\}$/s.exec(word);
+  if (!match) throw new Error(`Invalid argument "${word}" in command pattern "${pattern}"`);
+  const [, name, typeName, constraint, optional] = match;
+  const arg = { type: "param", name, optional: Boolean(optional) };
+  if (typeName === undefined) return { ...arg, constraint };
+  const argType = COMMAND_ARG_TYPES[typeName];
+  if (!argType) throw new Error(`Unknown argument type "${typeName}" in command pattern "${pattern}"`);
+  return { ...arg, ...argType };
+}
+
+function compileCommandPattern(pattern, builder, options = {}) {
+  const { command, aliases, args } = parseCommandPattern(pattern);
+  if (command !== undefined) {
+    options.aliases?.register(command, aliases);
+    builder.exact(`/${command}`);
+  }
+  for (const arg of args) {
+    if (arg.type === "exact") builder.exact(` ${arg.value}`);
+    else if (!arg.optional) builder.exact(" ").param(arg.name, arg.constraint || COMMAND_ARG, arg.parse);
+    else builder.optional((group) => group.exact(" ").param(arg.name, arg.constraint || COMMAND_ARG, arg.parse));
+  }
+  return builder.build();
+}
+
+function calculateCommandSpecificity(route) {
+  const { args } = parseCommandPattern(route.pattern);
+  const required = args.filter((arg) => !arg.optional);
+  let score = required.length * 10000 - (args.length - required.length);
+  for (let i = 0; i < required.length; i++) {
+    const arg = required[i];
+    const positionWeight = (required.length - i) * 1000;
+    if (arg.type === "param") score += (arg.constraint ? 500 : 100) + positionWeight;
+    else score += 1000 + positionWeight;
+  }
+  return score;
+}
+
+function selectMostSpecificCommand(matched) {
+  return selectHighestScoring(matched, calculateCommandSpecificity);
+}
+
+function tokenizeCommand(text) {
+  const tokens = [];
+  let token = null;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\" && i + 1 < text.length) token += text[++i];
+      else if (char === quote || (quote === "\u201D" && char === "\u201C")) quote = null;
+      else token += char;
+    } else if (/\s/.test(char)) {
+      if (token !== null) tokens.push(token);
+      token = null;
+    } else if (char === '"' || char === "\u201C") {
+      quote = char === '"' ? '"' : "\u201D";
+      token = token ?? "";
+    } else token = (token ?? "") + char;
+  }
+  if (token !== null) tokens.push(token);
+  return tokens;
+}
+
+function encodeCommandArg(value) {
+  return value.replace(/[% ]/g, (char) => (char === "%" ? "%25" : "%20"));
+}
+
+function decodeCommandArg(value) {
+  return value.replace(/%(20|25)/g, (escape) => (escape === "%20" ? " " : "%"));
+}
+
+function quoteCommandArg(value) {
+  if (value !== "" && !/[\s"\u201C]/.test(value)) return value;
+  return `"${value.replace(/["\\]/g, "\\$&")}"`;
+}
+
+class CommandAliases {
+  #aliases = new Map();
+  #commands = new Set();
+
+  register(command, aliases) {
+    if (this.#aliases.has(command)) {
+      throw new Error(`Command "/${command}" conflicts with an alias of "/${this.#aliases.get(command)}"`);
+    }
+    for (const alias of aliases) {
+      const existing = this.#aliases.get(alias);
+      if (this.#commands.has(alias) || alias === command) {
+        throw new Error(`Alias "/${alias}" of "/${command}" conflicts with command "/${alias}"`);
+      }
+      if (existing !== undefined && existing !== command) {
+        throw new Error(`Alias "/${alias}" of "/${command}" is already an alias of "/${existing}"`);
+      }
+    }
+    this.#commands.add(command);
+    for (const alias of aliases) this.#aliases.set(alias, command);
+  }
+
+  resolve(name) {
+    return this.#aliases.get(name) ?? name;
+  }
+}
+
+class CommandRouter extends Router {
+  constructor(...args) {
+    const [options, routes] = splitOptions(args);
+    const aliases = new CommandAliases();
+    const compile = (pattern, builder) => compileCommandPattern(pattern, builder, { aliases });
+    const defaults = {
+      engine: "trie",
+      decode: decodeCommandArg,
+      encode: encodeCommandArg,
+      specificity: calculateCommandSpecificity,
+      joinPatterns: (patterns) => patterns.join(" "),
+    };
+    super(compile, selectMostSpecificCommand, { ...defaults, ...options, separator: " " }, ...routes);
+    this.#aliases = aliases;
+    this.#botName = options.botName?.replace(/^@/, "").toLowerCase() ?? null;
+    this.#fallback = options.fallback ?? null;
+  }
+
+  #aliases;
+  #botName;
+  #fallback;
+
+  static fromPrecompiled(table, routes, ...args) {
+    const router = super.fromPrecompiled(table, routes, ...args);
+    for (const { route } of table.routes) {
+      const { command, aliases } = parseCommandPattern(route.pattern);
+      if (command !== undefined) router.#aliases.register(command, aliases);
+    }
+    return router;
+  }
+
+  #normalize(text) {
+    if (typeof text !== "string" || !text.startsWith("/")) return null;
+    const [head, ...args] = tokenizeCommand(text);
+    const [name, bot] = head.slice(1).toLowerCase().split("@", 2);
+    if (!name || (bot !== undefined && this.#botName !== null && bot !== this.#botName)) return null;
+    const command = this.#aliases.resolve(name);
+    return { path: [`/${command}`, ...args.map(encodeCommandArg)].join(" "), extra: { command, args } };
+  }
+
+  match(text, options = {}) {
+    const message = this.#normalize(text);
+    if (!message) return undefined;
+    const result = super.match(message.path, options);
+    if (result) return { ...result, ...message.extra };
+    if (!this.#fallback) return undefined;
+    return {
+      route: this.#fallback,
+      name: this.#fallback.name,
+      params: {},
+      wildcards: [],
+      regex: ANY_COMMAND,
+      parents: [],
+      meta: { ...this.#fallback.meta },
+      ...message.extra,
+      fallback: true,
+    };
+  }
+
+  resolveAll(text, options = {}) {
+    const message = this.#normalize(text);
+    if (!message) return [];
+    return super.resolveAll(message.path, options).map((result) => ({ ...result, ...message.extra }));
+  }
+
+  build(routeOrName, params, wildcards) {
+    const [head, ...words] = super.build(routeOrName, params, wildcards).split(" ");
+    return [head, ...words.map((word) => quoteCommandArg(decodeCommandArg(word)))].join(" ");
   }
 }
 
@@ -187,9 +1988,15 @@ module.exports = {
   Router,
   WSRouter,
   HTTPRouter,
+  CommandRouter,
   RegExpPatternBuilder,
   compileHttpPattern,
   selectMostSpecificRoute,
   compileWsPattern,
   selectMostSpecificWsRoute,
+  compileCommandPattern,
+  selectMostSpecificCommand,
+  SEGMENT,
+  MAX_TRIE_VARIANTS,
+  expandOptionalTokens,
 };
@@ -0,0 +1,59 @@
+const WS_ERRORS = {
+  INVALID_MESSAGE: "Message must be a JSON object with a string event",
+  UNKNOWN_EVENT: "No route handles the event",
+  HANDLER_ERROR: "The event handler failed",
+};
+
+function createWsDispatcher(router, options = {}) {
+  const isHandled = ({ route }) => typeof route.message === "function";
+
+  async function dispatch(socket, raw) {
+    const envelope = parseEnvelope(raw);
+    const id = envelope?.id;
+    if (!envelope) return reply(socket, { ok: false, error: createError("INVALID_MESSAGE") });
+    const result = router.match(envelope.event, { filter: isHandled });
+    if (!result) return reply(socket, { id, event: envelope.event, ok: false, error: createError("UNKNOWN_EVENT") });
+    try {
+      const value = await result.route.message(socket, envelope.data, result.params, result);
+      if (id !== undefined) reply(socket, { id, ok: true, data: value });
+    } catch (error) {
+      report(error, socket, envelope);
+      reply(socket, { id, event: envelope.event, ok: false, error: createError("HANDLER_ERROR") });
+    }
+  }
+
+  function attach(socket) {
+    const listener = (raw) => dispatch(socket, raw).catch((error) => report(error, socket, null));
+    socket.on("message", listener);
+    return () => socket.off("message", listener);
+  }
+
+  function report(error, socket, envelope) {
+    new Promise((resolve) => resolve(options.onError?.(error, socket, envelope))).catch(() => undefined);
+  }
+
+  return { attach, dispatch };
+}
+
+function parseEnvelope(raw) {
+  let envelope;
+  try {
+    envelope = JSON.parse(typeof raw === "string" ? raw : new TextDecoder().decode(raw));
+  } catch {
+    return null;
+  }
+  if (!envelope || typeof envelope !== "object" || typeof envelope.event !== "string") return null;
+  const { id } = envelope;
+  if (id !== undefined && typeof id !== "string" && typeof id !== "number") return null;
+  return envelope;
+}
+
+function createError(code) {
+  return { code, message: WS_ERRORS[code] };
+}
+
+function reply(socket, message) {
+  socket.send(JSON.stringify(message));
+}
+
+module.exports = { createWsDispatcher };